@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const log = require('./log');
+
+// Adaptadores de escala horizontal. Cada processo do servidor é um nó;
+// o adaptador sabe qual nó é dono de cada sala e entrega mensagens entre nós.
+//
+// Interface comum:
+//   idNo                          identificador deste nó
+//   registrarSala(codigo)         reivindica a sala; resolve false se outro nó já é dono
+//   reivindicarSala(codigo, dono) retoma a sala de um dono anterior (ou sem dono);
+//                                 resolve false se outro nó já é dono
+//   liberarSala(codigo)           desfaz o registro quando a sala é removida
+//   donoSala(codigo)              resolve o id do nó dono ou null
+//   enviarParaNo(idNo, mensagem)  entrega um objeto JSON ao nó; rejeita se ninguém recebeu
+//   aoReceber(funcao)             recebe as mensagens endereçadas a este nó
+//   aoPerderSala(funcao)          avisa quando outro nó passou a ser dono de uma sala deste
+//   encerrar()
+//
+// No broker, o registro expira em PRAZO_DONO_MS se não for renovado: um nó que
+// caiu sem liberar as salas deixa de ser dono delas.
+
+// Prefixo das chaves e canais no broker
+const PREFIXO = 'batalha-naval';
+
+// Validade do registro de dono; renovado três vezes dentro do prazo
+const PRAZO_DONO_MS = 30000;
+const INTERVALO_RENOVACAO_MS = PRAZO_DONO_MS / 3;
+
+// Redis: grava a chave só se ela não existe ou ainda tem o valor esperado
+const SCRIPT_TROCAR = `
+local atual = redis.call('get', KEYS[1])
+if atual and atual ~= ARGV[1] then return 0 end
+redis.call('set', KEYS[1], ARGV[2], 'PX', ARGV[3])
+return 1`;
+
+function gerarIdNo() {
+    return crypto.randomBytes(6).toString('hex');
+}
+
+// Um só processo: o registro fica em memória e só existe este nó
+function criarAdaptadorMemoria() {
+    const idNo = gerarIdNo();
+    const donos = new Map();
+    let receptor = () => {};
+
+    return {
+        idNo: idNo,
+
+        async registrarSala(codigo) {
+            if (donos.has(codigo)) return false;
+            donos.set(codigo, idNo);
+            return true;
+        },
+
+        // Registro não sobrevive ao processo: toda sala restaurada está livre
+        async reivindicarSala(codigo) {
+            return this.registrarSala(codigo);
+        },
+
+        async liberarSala(codigo) {
+            donos.delete(codigo);
+        },
+
+        async donoSala(codigo) {
+            return donos.get(codigo) || null;
+        },
+
+        async enviarParaNo(destino, mensagem) {
+            if (destino !== idNo) throw new Error(`No desconhecido: ${destino}`);
+            // Assíncrono, como seria pela rede
+            setImmediate(() => receptor(mensagem));
+        },
+
+        aoReceber(funcao) {
+            receptor = funcao;
+        },
+
+        // Só há este nó: nenhuma sala muda de dono
+        aoPerderSala() {},
+
+        async encerrar() {}
+    };
+}
+
+// Vários processos ligados a um broker no estilo Redis. `cliente` precisa de
+// get, set(chave, valor, { NX, PX }), del, publish e trocar(chave, esperado,
+// valor, prazoMs), que grava só se a chave não existe ou vale `esperado`;
+// `assinante` precisa de subscribe. Com Redis são duas conexões, pois uma
+// conexão assinando não envia comandos.
+function criarAdaptadorBroker({ cliente, assinante }) {
+    const idNo = gerarIdNo();
+    const chaveSala = codigo => `${PREFIXO}:sala:${codigo}`;
+    const canalNo = id => `${PREFIXO}:no:${id}`;
+    const proprias = new Set(); // salas cujo registro este nó renova
+    let receptor = () => {};
+    let perdida = () => {};
+
+    // Renovar o registro de cada sala; se outro nó a tomou, este deixa de servi-la
+    const renovacao = setInterval(() => {
+        proprias.forEach(codigo => {
+            cliente.trocar(chaveSala(codigo), idNo, idNo, PRAZO_DONO_MS).then(renovada => {
+                if (renovada || !proprias.delete(codigo)) return;
+                log.erro('Sala registrada por outro no', { sala: codigo });
+                perdida(codigo);
+            }).catch(err => {
+                log.erro('Erro ao renovar sala', { sala: codigo, erro: err });
+            });
+        });
+    }, INTERVALO_RENOVACAO_MS);
+    renovacao.unref();
+
+    const inscricao = assinante.subscribe(canalNo(idNo), (dados) => {
+        try {
+            receptor(JSON.parse(dados));
+        } catch (err) {
+            log.erro('Mensagem invalida do broker', { erro: err });
+        }
+    });
+
+    return {
+        idNo: idNo,
+
+        async registrarSala(codigo) {
+            await inscricao;
+            const registrada = (await cliente.set(chaveSala(codigo), idNo, { NX: true, PX: PRAZO_DONO_MS })) === 'OK';
+            if (registrada) proprias.add(codigo);
+            return registrada;
+        },
+
+        async reivindicarSala(codigo, donoAnterior) {
+            await inscricao;
+            const retomada = await cliente.trocar(chaveSala(codigo), donoAnterior || idNo, idNo, PRAZO_DONO_MS);
+            if (retomada) proprias.add(codigo);
+            return retomada;
+        },
+
+        async liberarSala(codigo) {
+            proprias.delete(codigo);
+            // Só o dono apaga o registro
+            if (await cliente.get(chaveSala(codigo)) === idNo) {
+                await cliente.del(chaveSala(codigo));
+            }
+        },
+
+        async donoSala(codigo) {
+            return cliente.get(chaveSala(codigo));
+        },
+
+        async enviarParaNo(destino, mensagem) {
+            const recebidos = await cliente.publish(canalNo(destino), JSON.stringify(mensagem));
+            if (!recebidos) throw new Error(`No sem inscricao no broker: ${destino}`);
+        },
+
+        aoReceber(funcao) {
+            receptor = funcao;
+        },
+
+        aoPerderSala(funcao) {
+            perdida = funcao;
+        },
+
+        async encerrar() {
+            clearInterval(renovacao);
+            await Promise.all([cliente, assinante].filter((c, i, lista) => lista.indexOf(c) === i)
+                .map(c => c.quit()));
+        }
+    };
+}
+
+// Adaptador a partir da URL do broker: redis://... usa o pacote redis,
+// tcp://... o broker local; sem URL, tudo fica em memória
+async function criarAdaptador(url) {
+    if (!url) return criarAdaptadorMemoria();
+
+    if (url.startsWith('redis://') || url.startsWith('rediss://')) {
+        const { createClient } = require('redis');
+        const cliente = createClient({ url: url });
+        const assinante = cliente.duplicate();
+        await Promise.all([cliente.connect(), assinante.connect()]);
+        cliente.trocar = async (chave, esperado, valor, prazoMs) =>
+            (await cliente.eval(SCRIPT_TROCAR, { keys: [chave], arguments: [esperado, valor, String(prazoMs)] })) === 1;
+        return criarAdaptadorBroker({ cliente, assinante });
+    }
+
+    const cliente = await require('./broker').conectarBroker(url);
+    return criarAdaptadorBroker({ cliente, assinante: cliente });
+}
+
+module.exports = {
+    criarAdaptadorMemoria,
+    criarAdaptadorBroker,
+    criarAdaptador
+};
@@ -0,0 +1,17 @@
+const fs = require('fs');
+const path = require('path');
+
+// Gravação dos arquivos em dados/
+
+// Gravar em arquivo temporário e renomear, para nunca deixar o arquivo
+// pela metade. `conteudo` já vem serializado.
+async function gravarArquivoAtomico(caminho, conteudo) {
+    const temporario = `${caminho}.tmp`;
+    await fs.promises.mkdir(path.dirname(caminho), { recursive: true });
+    await fs.promises.writeFile(temporario, conteudo);
+    await fs.promises.rename(temporario, caminho);
+}
+
+module.exports = {
+    gravarArquivoAtomico
+};
@@ -0,0 +1,222 @@
+const WebSocket = require('ws');
+const { REGRAS_PADRAO, tamanhosDaFrota, gerarTabuleiroAleatorio } = require('./frota');
+
+// Dificuldades: disparos aleatórios, caça e alvo após acerto, densidade de probabilidade
+const DIFICULDADES = ['facil', 'medio', 'dificil'];
+
+// Pausa antes de cada disparo, para o jogo não parecer instantâneo
+const ATRASO_DISPARO_MS = 800;
+
+const DESCONHECIDO = 0;
+const AGUA = 1;
+const ACERTO = 2;
+const AFUNDADO = 3;
+
+function sortear(lista) {
+    return lista[Math.floor(Math.random() * lista.length)];
+}
+
+// Células ainda não atacadas
+function celulasLivres(mapa) {
+    const livres = [];
+    mapa.forEach((linha, l) => {
+        linha.forEach((estado, c) => {
+            if (estado === DESCONHECIDO) livres.push({ linha: l, coluna: c });
+        });
+    });
+    return livres;
+}
+
+// Acertos em navios que ainda não afundaram
+function acertosAbertos(mapa) {
+    const acertos = [];
+    mapa.forEach((linha, l) => {
+        linha.forEach((estado, c) => {
+            if (estado === ACERTO) acertos.push({ linha: l, coluna: c });
+        });
+    });
+    return acertos;
+}
+
+function dentro(mapa, linha, coluna) {
+    return linha >= 0 && linha < mapa.length && coluna >= 0 && coluna < mapa.length;
+}
+
+function alvoAleatorio(mapa) {
+    return sortear(celulasLivres(mapa));
+}
+
+// Caça e alvo: após um acerto, ataca as vizinhas seguindo a direção do navio
+function alvoCacaEAlvo(mapa) {
+    const acertos = acertosAbertos(mapa);
+
+    if (acertos.length === 0) {
+        // Caça em padrão de xadrez: todo navio tem ao menos 2 células
+        const livres = celulasLivres(mapa);
+        const xadrez = livres.filter(c => (c.linha + c.coluna) % 2 === 0);
+        return sortear(xadrez.length > 0 ? xadrez : livres);
+    }
+
+    const candidatos = [];
+    acertos.forEach(acerto => {
+        const vizinhosAlinhados = [[0, 1], [0, -1], [1, 0], [-1, 0]].filter(([dl, dc]) => {
+            const l = acerto.linha + dl;
+            const c = acerto.coluna + dc;
+            return dentro(mapa, l, c) && mapa[l][c] === ACERTO;
+        });
+
+        [[0, 1], [0, -1], [1, 0], [-1, 0]].forEach(([dl, dc]) => {
+            const l = acerto.linha + dl;
+            const c = acerto.coluna + dc;
+            if (!dentro(mapa, l, c) || mapa[l][c] !== DESCONHECIDO) return;
+
+            // Priorizar a continuação de uma linha de acertos
+            const alinhado = vizinhosAlinhados.some(([vl, vc]) => vl === -dl && vc === -dc);
+            candidatos.push({ linha: l, coluna: c, prioridade: alinhado ? 1 : 0 });
+        });
+    });
+
+    if (candidatos.length === 0) return alvoAleatorio(mapa);
+
+    const melhor = Math.max(...candidatos.map(c => c.prioridade));
+    return sortear(candidatos.filter(c => c.prioridade === melhor));
+}
+
+// Densidade de probabilidade: conta quantas posições possíveis dos navios
+// restantes passam por cada célula, com peso extra para as que cobrem acertos
+function alvoProbabilidade(mapa, tamanhosRestantes) {
+    const tamanho = mapa.length;
+    const densidade = mapa.map(linha => linha.map(() => 0));
+    const semAcertos = acertosAbertos(mapa).length === 0;
+
+    tamanhosRestantes.forEach(comprimento => {
+        [[0, 1], [1, 0]].forEach(([dl, dc]) => {
+            for (let l = 0; l < tamanho; l++) {
+                for (let c = 0; c < tamanho; c++) {
+                    const celulas = [];
+                    for (let k = 0; k < comprimento; k++) {
+                        celulas.push({ linha: l + dl * k, coluna: c + dc * k });
+                    }
+
+                    const possivel = celulas.every(cel =>
+                        dentro(mapa, cel.linha, cel.coluna) &&
+                        (mapa[cel.linha][cel.coluna] === DESCONHECIDO || mapa[cel.linha][cel.coluna] === ACERTO));
+                    if (!possivel) continue;
+
+                    const acertosCobertos = celulas.filter(cel => mapa[cel.linha][cel.coluna] === ACERTO).length;
+                    if (!semAcertos && acertosCobertos === 0) continue;
+
+                    const peso = 1 + acertosCobertos * 10;
+                    celulas.forEach(cel => {
+                        if (mapa[cel.linha][cel.coluna] === DESCONHECIDO) {
+                            densidade[cel.linha][cel.coluna] += peso;
+                        }
+                    });
+                }
+            }
+        });
+    });
+
+    const livres = celulasLivres(mapa);
+    const maior = Math.max(...livres.map(c => densidade[c.linha][c.coluna]));
+    if (maior <= 0) return alvoAleatorio(mapa);
+
+    return sortear(livres.filter(c => densidade[c.linha][c.coluna] === maior));
+}
+
+// Cria um jogador virtual que se comporta como uma conexão WebSocket:
+// recebe as mesmas mensagens que um jogador humano e responde pelos
+// callbacks aoConfigurar(tabuleiro), aoAtacar(linha, coluna) e aoAceitarRevanche()
+function criarJogadorVirtual({ dificuldade = 'medio', regras = REGRAS_PADRAO, aoConfigurar, aoAtacar, aoAceitarRevanche }) {
+    const tamanho = regras.tamanhoTabuleiro;
+    let mapa = null;
+    let tamanhosRestantes = null;
+    let temporizador = null;
+    let ultimoAlvo = null;
+
+    // Cada partida (inclusive revanches) começa sem informação
+    function reiniciarMapa() {
+        mapa = Array.from({ length: tamanho }, () => Array(tamanho).fill(DESCONHECIDO));
+        tamanhosRestantes = tamanhosDaFrota(regras.frota);
+    }
+
+    // Um bot recriado com a partida em andamento já precisa do mapa
+    reiniciarMapa();
+
+    function escolherAlvo() {
+        if (dificuldade === 'facil') return alvoAleatorio(mapa);
+        if (dificuldade === 'dificil') return alvoProbabilidade(mapa, tamanhosRestantes);
+        return alvoCacaEAlvo(mapa);
+    }
+
+    function agendarDisparo() {
+        clearTimeout(temporizador);
+        temporizador = setTimeout(() => {
+            ultimoAlvo = escolherAlvo();
+            if (ultimoAlvo) aoAtacar(ultimoAlvo.linha, ultimoAlvo.coluna);
+        }, ATRASO_DISPARO_MS);
+    }
+
+    const jogador = {
+        bot: true,
+        dificuldade: dificuldade,
+        readyState: WebSocket.OPEN,
+
+        // Reage de forma assíncrona, como uma conexão de rede
+        send(dados) {
+            const mensagem = JSON.parse(dados);
+            setImmediate(() => reagir(mensagem));
+        },
+
+        close() {
+            clearTimeout(temporizador);
+            jogador.readyState = WebSocket.CLOSED;
+        }
+    };
+
+    function reagir(mensagem) {
+        if (jogador.readyState !== WebSocket.OPEN) return;
+
+        switch (mensagem.tipo) {
+            case 'iniciar_configuracao':
+                reiniciarMapa();
+                aoConfigurar(gerarTabuleiroAleatorio(regras));
+                break;
+
+            case 'seu_turno':
+                agendarDisparo();
+                break;
+
+            case 'resultado_ataque':
+                mapa[mensagem.linha][mensagem.coluna] = mensagem.resultado === 'acerto' ? ACERTO : AGUA;
+                if (mensagem.afundado) {
+                    mensagem.afundado.celulas.forEach(c => { mapa[c.linha][c.coluna] = AFUNDADO; });
+                    tamanhosRestantes.splice(tamanhosRestantes.indexOf(mensagem.afundado.tamanho), 1);
+                }
+                break;
+
+            case 'erro':
+                // Célula já conhecida pelo servidor: marcar e tentar outra
+                if (mensagem.codigo === 'disparo_repetido' && ultimoAlvo) {
+                    mapa[ultimoAlvo.linha][ultimoAlvo.coluna] = AGUA;
+                    agendarDisparo();
+                }
+                break;
+
+            case 'fim_jogo':
+                clearTimeout(temporizador);
+                break;
+
+            case 'revanche_pedida':
+                if (aoAceitarRevanche && mensagem.pendentes.includes(jogador.nome)) aoAceitarRevanche();
+                break;
+        }
+    }
+
+    return jogador;
+}
+
+module.exports = {
+    DIFICULDADES,
+    criarJogadorVirtual
+};
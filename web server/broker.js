@@ -0,0 +1,207 @@
+const net = require('net');
+const log = require('./log');
+
+// Broker local com o subconjunto de comandos do Redis usado pelo adaptador
+// (get, set com NX e PX, del, publish, subscribe), mais trocar, que no Redis
+// é um script. Serve para rodar vários nós
+// numa máquina de desenvolvimento ou em testes, sem instalar o Redis.
+//
+// Protocolo: um JSON por linha. Comandos { id, comando, args } recebem
+// { id, resultado } ou { id, erro }; mensagens publicadas chegam como { canal, mensagem }.
+//
+// Não há autenticação: por padrão só aceita conexões da própria máquina.
+
+const PORTA_PADRAO = 6380;
+const HOST_PADRAO = '127.0.0.1';
+
+// Ler linhas JSON de um socket; linhas que não são JSON são descartadas
+function aoReceberLinhas(socket, funcao) {
+    let pendente = '';
+    socket.setEncoding('utf8');
+    socket.on('data', parte => {
+        pendente += parte;
+        let fim;
+        while ((fim = pendente.indexOf('\n')) > -1) {
+            const linha = pendente.slice(0, fim);
+            pendente = pendente.slice(fim + 1);
+            if (!linha) continue;
+
+            let dados;
+            try {
+                dados = JSON.parse(linha);
+            } catch (err) {
+                log.aviso('Linha invalida no broker descartada', { endereco: socket.remoteAddress });
+                continue;
+            }
+            funcao(dados);
+        }
+    });
+}
+
+function escrever(socket, dados) {
+    if (!socket.destroyed) socket.write(JSON.stringify(dados) + '\n');
+}
+
+function iniciarBroker(porta = PORTA_PADRAO, host = HOST_PADRAO) {
+    const valores = new Map(); // chave -> { valor, expira }
+    const canais = new Map(); // canal -> conjunto de sockets inscritos
+
+    // Valor ainda válido da chave; a vencida é apagada na primeira leitura
+    function ler(chave) {
+        const registro = valores.get(chave);
+        if (!registro) return null;
+        if (registro.expira && registro.expira <= Date.now()) {
+            valores.delete(chave);
+            return null;
+        }
+        return registro.valor;
+    }
+
+    function gravar(chave, valor, prazoMs) {
+        valores.set(chave, { valor: valor, expira: prazoMs ? Date.now() + prazoMs : null });
+    }
+
+    const comandos = {
+        get: (socket, chave) => ler(chave),
+
+        set: (socket, chave, valor, opcoes = {}) => {
+            if (opcoes.NX && ler(chave) !== null) return null;
+            gravar(chave, valor, opcoes.PX);
+            return 'OK';
+        },
+
+        // Gravar só se a chave não existe ou ainda tem o valor esperado
+        trocar: (socket, chave, esperado, valor, prazoMs) => {
+            const atual = ler(chave);
+            if (atual !== null && atual !== esperado) return false;
+            gravar(chave, valor, prazoMs);
+            return true;
+        },
+
+        del: (socket, chave) => (ler(chave) !== null && valores.delete(chave) ? 1 : 0),
+
+        publish: (socket, canal, mensagem) => {
+            const inscritos = canais.get(canal) || new Set();
+            inscritos.forEach(inscrito => escrever(inscrito, { canal, mensagem }));
+            return inscritos.size;
+        },
+
+        subscribe: (socket, canal) => {
+            if (!canais.has(canal)) canais.set(canal, new Set());
+            canais.get(canal).add(socket);
+            return 'OK';
+        }
+    };
+
+    const servidor = net.createServer(socket => {
+        aoReceberLinhas(socket, pedido => {
+            const { id, comando, args } = pedido || {};
+            if (!Object.prototype.hasOwnProperty.call(comandos, comando)) {
+                escrever(socket, { id, erro: `Comando desconhecido: ${comando}` });
+                return;
+            }
+            if (!Array.isArray(args)) {
+                escrever(socket, { id, erro: 'Argumentos devem ser uma lista' });
+                return;
+            }
+
+            try {
+                escrever(socket, { id, resultado: comandos[comando](socket, ...args) });
+            } catch (err) {
+                escrever(socket, { id, erro: err.message });
+            }
+        });
+
+        socket.on('close', () => {
+            canais.forEach(inscritos => inscritos.delete(socket));
+        });
+        socket.on('error', () => {});
+    });
+
+    return new Promise((resolve, reject) => {
+        servidor.once('error', reject);
+        servidor.listen(porta, host, () => resolve(servidor));
+    });
+}
+
+// Cliente com a mesma forma do cliente Redis (node-redis 4): cada comando
+// retorna uma Promise e subscribe recebe a função chamada a cada mensagem
+function conectarBroker(url) {
+    const { hostname, port } = new URL(url);
+    const socket = net.connect(parseInt(port, 10) || PORTA_PADRAO, hostname || 'localhost');
+    const aguardando = new Map(); // id -> { resolve, reject }
+    const ouvintes = new Map(); // canal -> função
+    let proximoId = 1;
+
+    aoReceberLinhas(socket, resposta => {
+        if (resposta.canal !== undefined) {
+            const ouvinte = ouvintes.get(resposta.canal);
+            if (ouvinte) ouvinte(resposta.mensagem, resposta.canal);
+            return;
+        }
+
+        const pedido = aguardando.get(resposta.id);
+        if (!pedido) return;
+        aguardando.delete(resposta.id);
+        if (resposta.erro) {
+            pedido.reject(new Error(resposta.erro));
+        } else {
+            pedido.resolve(resposta.resultado);
+        }
+    });
+
+    socket.on('close', () => {
+        aguardando.forEach(pedido => pedido.reject(new Error('Conexao com o broker encerrada')));
+        aguardando.clear();
+    });
+
+    function executar(comando, ...args) {
+        return new Promise((resolve, reject) => {
+            const id = proximoId++;
+            aguardando.set(id, { resolve, reject });
+            escrever(socket, { id, comando, args });
+        });
+    }
+
+    const cliente = {
+        get: chave => executar('get', chave),
+        set: (chave, valor, opcoes) => executar('set', chave, valor, opcoes),
+        trocar: (chave, esperado, valor, prazoMs) => executar('trocar', chave, esperado, valor, prazoMs),
+        del: chave => executar('del', chave),
+        publish: (canal, mensagem) => executar('publish', canal, mensagem),
+
+        subscribe(canal, ouvinte) {
+            ouvintes.set(canal, ouvinte);
+            return executar('subscribe', canal);
+        },
+
+        quit() {
+            socket.end();
+            return Promise.resolve();
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        socket.once('error', reject);
+        socket.once('connect', () => {
+            socket.removeListener('error', reject);
+            socket.on('error', err => log.erro('Erro na conexao com o broker', { erro: err }));
+            resolve(cliente);
+        });
+    });
+}
+
+// Executado diretamente: node broker.js. HOST_BROKER=0.0.0.0 aceita outras
+// máquinas, sem nenhuma proteção; use só em rede confiável.
+if (require.main === module) {
+    const porta = parseInt(process.env.PORTA_BROKER, 10) || PORTA_PADRAO;
+    const host = process.env.HOST_BROKER || HOST_PADRAO;
+    iniciarBroker(porta, host).then(() => {
+        log.info('Broker local rodando', { host: host, porta: porta });
+    });
+}
+
+module.exports = {
+    iniciarBroker,
+    conectarBroker
+};
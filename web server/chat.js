@@ -0,0 +1,66 @@
+// Chat das salas: histórico curto, limite de envio e filtro de palavras
+
+// Mensagens guardadas por sala para quem entra depois
+const HISTORICO_MAXIMO = 50;
+
+// Cada conexão envia no máximo LIMITE_MENSAGENS a cada JANELA_MS
+const LIMITE_MENSAGENS = 5;
+const JANELA_MS = 10000;
+
+// Palavras bloqueadas pelo filtro padrão, separadas por vírgula
+const PALAVRAS_BLOQUEADAS = (process.env.PALAVRAS_BLOQUEADAS || '')
+    .split(',')
+    .map(palavra => palavra.trim().toLowerCase())
+    .filter(Boolean);
+
+function escaparRegex(texto) {
+    return texto.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Troca cada palavra bloqueada por asteriscos do mesmo tamanho
+function filtroPadrao(texto) {
+    return PALAVRAS_BLOQUEADAS.reduce((resultado, palavra) => {
+        const expressao = new RegExp(`\\b${escaparRegex(palavra)}\\b`, 'gi');
+        return resultado.replace(expressao, trecho => '*'.repeat(trecho.length));
+    }, texto);
+}
+
+let filtro = filtroPadrao;
+
+// Substituir o filtro: função que recebe o texto e devolve o texto a publicar
+function definirFiltro(novoFiltro) {
+    filtro = novoFiltro || filtroPadrao;
+}
+
+function filtrar(texto) {
+    return filtro(texto);
+}
+
+// Janela deslizante de envios da conexão; retorna se pode enviar agora
+function podeEnviar(envios, agora = Date.now()) {
+    while (envios.length > 0 && agora - envios[0] >= JANELA_MS) {
+        envios.shift();
+    }
+    if (envios.length >= LIMITE_MENSAGENS) return false;
+
+    envios.push(agora);
+    return true;
+}
+
+// Guardar mensagem no histórico da sala, descartando as mais antigas
+function registrarMensagem(historico, mensagem) {
+    historico.push(mensagem);
+    if (historico.length > HISTORICO_MAXIMO) {
+        historico.splice(0, historico.length - HISTORICO_MAXIMO);
+    }
+}
+
+module.exports = {
+    HISTORICO_MAXIMO,
+    LIMITE_MENSAGENS,
+    JANELA_MS,
+    definirFiltro,
+    filtrar,
+    podeEnviar,
+    registrarMensagem
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const log = require('./log');
+const { gravarArquivoAtomico } = require('./arquivos');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Contas registradas: nome em minúsculas -> { nome, sal, hash, criadaEm }
+const ARQUIVO_CONTAS = process.env.ARQUIVO_CONTAS || path.join(__dirname, 'dados', 'contas.json');
+
+// Chave dos tokens; vários nós precisam da mesma. Sem ela, cada processo
+// sorteia a sua e os tokens deixam de valer a cada reinício.
+const SEGREDO_TOKENS = process.env.SEGREDO_TOKENS || crypto.randomBytes(32).toString('hex');
+if (!process.env.SEGREDO_TOKENS) {
+    log.aviso('SEGREDO_TOKENS nao definido: tokens valem so ate o servidor reiniciar');
+}
+
+const VALIDADE_CONTA_MS = 7 * 24 * 60 * 60 * 1000;
+const VALIDADE_CONVIDADO_MS = 24 * 60 * 60 * 1000;
+
+const TAMANHO_HASH = 64;
+const SENHA_MINIMA = 8;
+
+// Letras, números, _ e -; o prefixo de convidado fica reservado
+const NOME_VALIDO = /^[A-Za-z0-9_-]{3,20}$/;
+const PREFIXO_CONVIDADO = 'Convidado';
+
+// Registro e leitura serializados, para duas contas não sobrescreverem uma à outra
+let operacoes = Promise.resolve();
+
+function emFila(funcao) {
+    const resultado = operacoes.then(funcao);
+    operacoes = resultado.catch(() => {});
+    return resultado;
+}
+
+function erroHttp(status, mensagem) {
+    return Object.assign(new Error(mensagem), { status: status });
+}
+
+async function lerContas() {
+    try {
+        return JSON.parse(await fs.promises.readFile(ARQUIVO_CONTAS, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw err;
+    }
+}
+
+function gravarContas(contas) {
+    return gravarArquivoAtomico(ARQUIVO_CONTAS, JSON.stringify(contas));
+}
+
+async function calcularHash(senha, sal) {
+    return (await scrypt(senha, sal, TAMANHO_HASH)).toString('hex');
+}
+
+function codificar(dados) {
+    return Buffer.from(dados).toString('base64url');
+}
+
+function assinar(conteudo) {
+    return crypto.createHmac('sha256', SEGREDO_TOKENS).update(conteudo).digest('base64url');
+}
+
+// Token: dados em base64url, ponto, HMAC dos dados
+function emitirToken(nome, convidado) {
+    const validade = convidado ? VALIDADE_CONVIDADO_MS : VALIDADE_CONTA_MS;
+    const conteudo = codificar(JSON.stringify({ nome: nome, convidado: convidado, expira: Date.now() + validade }));
+    return {
+        nome: nome,
+        convidado: convidado,
+        token: `${conteudo}.${assinar(conteudo)}`
+    };
+}
+
+// Dados da conta de um token válido, ou null
+function verificarToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [conteudo, assinatura] = token.split('.');
+    if (!conteudo || !assinatura) return null;
+
+    const esperada = Buffer.from(assinar(conteudo));
+    const recebida = Buffer.from(assinatura);
+    if (esperada.length !== recebida.length || !crypto.timingSafeEqual(esperada, recebida)) return null;
+
+    let dados;
+    try {
+        dados = JSON.parse(Buffer.from(conteudo, 'base64url').toString());
+    } catch (err) {
+        return null;
+    }
+    if (!dados || typeof dados.nome !== 'string' || !(dados.expira > Date.now())) return null;
+
+    return { nome: dados.nome, convidado: dados.convidado === true };
+}
+
+function registrar(nome, senha) {
+    if (typeof nome !== 'string' || !NOME_VALIDO.test(nome)) {
+        return Promise.reject(erroHttp(400, 'Nome deve ter de 3 a 20 letras, numeros, _ ou -'));
+    }
+    if (nome.toLowerCase().startsWith(PREFIXO_CONVIDADO.toLowerCase())) {
+        return Promise.reject(erroHttp(400, 'Nome reservado para convidados'));
+    }
+    if (typeof senha !== 'string' || senha.length < SENHA_MINIMA) {
+        return Promise.reject(erroHttp(400, `Senha deve ter ao menos ${SENHA_MINIMA} caracteres`));
+    }
+
+    return emFila(async () => {
+        const contas = await lerContas();
+        const chave = nome.toLowerCase();
+        if (contas[chave]) throw erroHttp(409, 'Nome ja registrado');
+
+        const sal = crypto.randomBytes(16).toString('hex');
+        contas[chave] = {
+            nome: nome,
+            sal: sal,
+            hash: await calcularHash(senha, sal),
+            criadaEm: Date.now()
+        };
+        await gravarContas(contas);
+
+        return emitirToken(nome, false);
+    });
+}
+
+function entrar(nome, senha) {
+    return emFila(async () => {
+        const conta = typeof nome === 'string' ? (await lerContas())[nome.toLowerCase()] : null;
+
+        // Mesmo custo com ou sem conta, para não revelar quais nomes existem
+        const sal = conta ? conta.sal : crypto.randomBytes(16).toString('hex');
+        const hash = Buffer.from(await calcularHash(String(senha), sal), 'hex');
+        const esperado = conta ? Buffer.from(conta.hash, 'hex') : crypto.randomBytes(TAMANHO_HASH);
+
+        if (!conta || !crypto.timingSafeEqual(hash, esperado)) {
+            throw erroHttp(401, 'Nome ou senha incorretos');
+        }
+        return emitirToken(conta.nome, false);
+    });
+}
+
+// Convidado recebe um nome sorteado, que não colide com contas
+function entrarComoConvidado() {
+    const nome = `${PREFIXO_CONVIDADO}-${crypto.randomBytes(3).toString('hex')}`;
+    return Promise.resolve(emitirToken(nome, true));
+}
+
+// Nomes de convidado usam um prefixo que nenhuma conta pode ter
+function ehConvidado(nome) {
+    return nome.startsWith(`${PREFIXO_CONVIDADO}-`);
+}
+
+module.exports = {
+    ehConvidado,
+    registrar,
+    entrar,
+    entrarComoConvidado,
+    verificarToken
+};
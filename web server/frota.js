@@ -0,0 +1,503 @@
+// Regras de tabuleiro e frota da Batalha Naval
+
+const TAMANHO_TABULEIRO = 10;
+
+// Frota declarada: cada tipo de navio com seu tamanho e quantidade
+const FROTA_PADRAO = [
+    { tipo: 'porta-avioes', tamanho: 5, quantidade: 1 },
+    { tipo: 'encouracado', tamanho: 4, quantidade: 1 },
+    { tipo: 'cruzador', tamanho: 3, quantidade: 1 },
+    { tipo: 'submarino', tamanho: 3, quantidade: 1 },
+    { tipo: 'destroier', tamanho: 2, quantidade: 1 }
+];
+
+const REGRAS_PADRAO = {
+    tamanhoTabuleiro: TAMANHO_TABULEIRO,
+    frota: FROTA_PADRAO,
+    modoSalvo: false, // um disparo por navio sobrevivente a cada turno
+    acertoDaNovoTurno: true,
+    naviosPodemEncostar: false
+};
+
+const LIMITES_REGRAS = {
+    tamanhoMinimo: 5,
+    tamanhoMaximo: 20,
+    tiposMaximo: 10,
+    quantidadeMaxima: 5,
+    ocupacaoMaxima: 0.4, // fração do tabuleiro que a frota pode ocupar
+    naviosEncostadosMaximo: 12 // navios na frota quando podem encostar
+};
+
+const NAVIO = 'N';
+const AGUA = '';
+
+// Encaixes que a divisão em navios pode tentar. A busca é exponencial no
+// pior caso e tabuleiro e frota vêm do cliente.
+const PASSOS_MAXIMOS_PARTICAO = 20000;
+
+// Lista de tamanhos de todos os navios da frota, do maior para o menor
+function tamanhosDaFrota(frota) {
+    const tamanhos = [];
+    frota.forEach(item => {
+        for (let i = 0; i < item.quantidade; i++) {
+            tamanhos.push(item.tamanho);
+        }
+    });
+    return tamanhos.sort((a, b) => b - a);
+}
+
+function falha(regra, mensagem) {
+    return { valido: false, regra: regra, mensagem: mensagem };
+}
+
+// Componentes de células de navio ligadas na horizontal/vertical
+function componentesConectados(tabuleiro) {
+    const tamanho = tabuleiro.length;
+    const visitado = tabuleiro.map(linha => linha.map(() => false));
+    const componentes = [];
+
+    for (let l = 0; l < tamanho; l++) {
+        for (let c = 0; c < tamanho; c++) {
+            if (tabuleiro[l][c] !== NAVIO || visitado[l][c]) continue;
+
+            const celulas = [];
+            const pilha = [[l, c]];
+            visitado[l][c] = true;
+
+            while (pilha.length > 0) {
+                const [linha, coluna] = pilha.pop();
+                celulas.push({ linha, coluna });
+
+                [[1, 0], [-1, 0], [0, 1], [0, -1]].forEach(([dl, dc]) => {
+                    const nl = linha + dl;
+                    const nc = coluna + dc;
+                    if (nl >= 0 && nl < tamanho && nc >= 0 && nc < tamanho &&
+                        tabuleiro[nl][nc] === NAVIO && !visitado[nl][nc]) {
+                        visitado[nl][nc] = true;
+                        pilha.push([nl, nc]);
+                    }
+                });
+            }
+
+            componentes.push(celulas);
+        }
+    }
+
+    return componentes;
+}
+
+// Verifica se as células formam uma linha reta e contínua
+function emLinhaReta(celulas) {
+    const mesmaLinha = celulas.every(c => c.linha === celulas[0].linha);
+    const mesmaColuna = celulas.every(c => c.coluna === celulas[0].coluna);
+    if (!mesmaLinha && !mesmaColuna) return false;
+
+    const posicoes = celulas.map(c => (mesmaLinha ? c.coluna : c.linha)).sort((a, b) => a - b);
+    return posicoes.every((p, i) => i === 0 || p === posicoes[i - 1] + 1);
+}
+
+function criarNavio(celulas) {
+    const ordenadas = celulas.slice().sort((a, b) => a.linha - b.linha || a.coluna - b.coluna);
+    const horizontal = ordenadas.length > 1 && ordenadas[0].linha === ordenadas[1].linha;
+    return {
+        tamanho: ordenadas.length,
+        orientacao: horizontal ? 'horizontal' : 'vertical',
+        celulas: ordenadas
+    };
+}
+
+// Divide as células de navio em navios retos com os tamanhos da frota.
+// Usado quando navios podem encostar, pois um bloco de células pode
+// conter mais de um navio. Cada bloco é dividido por vez; retorna
+// { navios } (null se não há divisão) ou { esgotado: true } se a busca
+// passou de PASSOS_MAXIMOS_PARTICAO.
+function particionarNavios(tabuleiro, tamanhos) {
+    const tamanho = tabuleiro.length;
+    const ocupado = tabuleiro.map(linha => linha.map(() => false));
+    const restantes = tamanhos.slice();
+    const navios = [];
+    let passos = 0;
+
+    const blocos = componentesConectados(tabuleiro).map(celulas =>
+        celulas.sort((a, b) => a.linha - b.linha || a.coluna - b.coluna));
+
+    const livre = (l, c) => l >= 0 && l < tamanho && c >= 0 && c < tamanho &&
+        tabuleiro[l][c] === NAVIO && !ocupado[l][c];
+
+    // Células livres em linha reta na direção dada, contando a própria
+    function sequencia(l, c, dl, dc) {
+        let total = 1;
+        for (let k = 1; livre(l + dl * k, c + dc * k); k++) total++;
+        for (let k = 1; livre(l - dl * k, c - dc * k); k++) total++;
+        return total;
+    }
+
+    // Algum vizinho do navio recém-posto ficou sem espaço para o menor navio restante?
+    function deixouSobra(celulas) {
+        if (restantes.length === 0) return false;
+        const menor = Math.min(...restantes);
+        return celulas.some(cel => [[0, 1], [0, -1], [1, 0], [-1, 0]].some(([dl, dc]) => {
+            const l = cel.linha + dl;
+            const c = cel.coluna + dc;
+            return livre(l, c) && sequencia(l, c, 0, 1) < menor && sequencia(l, c, 1, 0) < menor;
+        }));
+    }
+
+    // Navios restantes com que os blocos a partir de um índice já falharam
+    const semSaida = new Set();
+
+    function buscar(bloco) {
+        if (bloco === blocos.length) return restantes.length === 0;
+
+        const inicio = blocos[bloco].find(cel => !ocupado[cel.linha][cel.coluna]);
+        if (!inicio) {
+            const chave = `${bloco + 1}|${restantes.slice().sort((a, b) => a - b).join(',')}`;
+            if (semSaida.has(chave)) return false;
+            if (buscar(bloco + 1)) return true;
+            semSaida.add(chave);
+            return false;
+        }
+
+        // A primeira célula livre só pode ser a ponta superior/esquerda de um navio
+        const tentados = new Set();
+        for (let i = 0; i < restantes.length; i++) {
+            const comprimento = restantes[i];
+            if (tentados.has(comprimento)) continue;
+            tentados.add(comprimento);
+
+            const direcoes = comprimento === 1 ? [[0, 1]] : [[0, 1], [1, 0]];
+            for (const [dl, dc] of direcoes) {
+                const celulas = [];
+                for (let k = 0; k < comprimento; k++) {
+                    const l = inicio.linha + dl * k;
+                    const c = inicio.coluna + dc * k;
+                    if (l >= tamanho || c >= tamanho || tabuleiro[l][c] !== NAVIO || ocupado[l][c]) break;
+                    celulas.push({ linha: l, coluna: c });
+                }
+                if (celulas.length !== comprimento) continue;
+                if (++passos > PASSOS_MAXIMOS_PARTICAO) return false;
+
+                celulas.forEach(cel => { ocupado[cel.linha][cel.coluna] = true; });
+                restantes.splice(i, 1);
+                navios.push(criarNavio(celulas));
+
+                if (!deixouSobra(celulas) && buscar(bloco)) return true;
+                if (passos > PASSOS_MAXIMOS_PARTICAO) return false;
+
+                navios.pop();
+                restantes.splice(i, 0, comprimento);
+                celulas.forEach(cel => { ocupado[cel.linha][cel.coluna] = false; });
+            }
+        }
+
+        return false;
+    }
+
+    const encontrou = buscar(0);
+    if (passos > PASSOS_MAXIMOS_PARTICAO) return { esgotado: true };
+    return { navios: encontrou ? navios : null };
+}
+
+// Verifica se algum navio encosta em outro, inclusive na diagonal
+function naviosEncostados(tabuleiro, componentes) {
+    const tamanho = tabuleiro.length;
+    const dono = tabuleiro.map(linha => linha.map(() => -1));
+    componentes.forEach((celulas, i) => {
+        celulas.forEach(c => { dono[c.linha][c.coluna] = i; });
+    });
+
+    return componentes.some((celulas, i) => celulas.some(c => {
+        for (let dl = -1; dl <= 1; dl++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                const l = c.linha + dl;
+                const col = c.coluna + dc;
+                if (l >= 0 && l < tamanho && col >= 0 && col < tamanho &&
+                    dono[l][col] !== -1 && dono[l][col] !== i) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }));
+}
+
+// Associa cada navio a um tipo da frota, pelo tamanho, e prepara
+// o estado de danos usado durante o jogo
+function atribuirTipos(navios, frota) {
+    const disponiveis = [];
+    frota.forEach(item => {
+        for (let i = 0; i < item.quantidade; i++) {
+            disponiveis.push({ tipo: item.tipo, tamanho: item.tamanho });
+        }
+    });
+
+    return navios
+        .slice()
+        .sort((a, b) => a.celulas[0].linha - b.celulas[0].linha || a.celulas[0].coluna - b.celulas[0].coluna)
+        .map((navio, id) => {
+            const indice = disponiveis.findIndex(d => d.tamanho === navio.tamanho);
+            const tipo = disponiveis.splice(indice, 1)[0].tipo;
+            return Object.assign({ id: id, tipo: tipo }, navio, {
+                atingidas: [],
+                afundado: false
+            });
+        });
+}
+
+// Navio que ocupa a célula, se houver
+function navioNaCelula(navios, linha, coluna) {
+    return navios.find(navio =>
+        navio.celulas.some(c => c.linha === linha && c.coluna === coluna)) || null;
+}
+
+// Registra um acerto no navio da célula. Retorna o navio se ele afundou.
+function registrarAcerto(navios, linha, coluna) {
+    const navio = navioNaCelula(navios, linha, coluna);
+    if (!navio) return null;
+
+    if (!navio.atingidas.some(c => c.linha === linha && c.coluna === coluna)) {
+        navio.atingidas.push({ linha, coluna });
+    }
+
+    if (!navio.afundado && navio.atingidas.length === navio.tamanho) {
+        navio.afundado = true;
+        return navio;
+    }
+    return null;
+}
+
+// Dados públicos de um navio afundado
+function descreverNavio(navio) {
+    return {
+        id: navio.id,
+        tipo: navio.tipo,
+        tamanho: navio.tamanho,
+        orientacao: navio.orientacao,
+        celulas: navio.celulas
+    };
+}
+
+// Resumo da situação da frota, sem revelar posições
+function resumoFrota(navios) {
+    const lista = navios || [];
+    const afundados = lista.filter(n => n.afundado).length;
+    return {
+        total: lista.length,
+        afundados: afundados,
+        restantes: lista.length - afundados,
+        navios: lista.map(n => ({ id: n.id, tipo: n.tipo, tamanho: n.tamanho, afundado: n.afundado }))
+    };
+}
+
+function frotaDestruida(navios) {
+    return navios.length > 0 && navios.every(n => n.afundado);
+}
+
+// Gera um tabuleiro com a frota posicionada aleatoriamente, respeitando as regras
+function gerarTabuleiroAleatorio(regras = REGRAS_PADRAO) {
+    const tamanho = regras.tamanhoTabuleiro;
+    const tamanhos = tamanhosDaFrota(regras.frota);
+
+    for (let tentativa = 0; tentativa < 100; tentativa++) {
+        const tabuleiro = Array.from({ length: tamanho }, () => Array(tamanho).fill(AGUA));
+        const posicionou = tamanhos.every(comprimento => {
+            for (let i = 0; i < 200; i++) {
+                const horizontal = Math.random() < 0.5;
+                const linha = Math.floor(Math.random() * (horizontal ? tamanho : tamanho - comprimento + 1));
+                const coluna = Math.floor(Math.random() * (horizontal ? tamanho - comprimento + 1 : tamanho));
+
+                const celulas = [];
+                for (let k = 0; k < comprimento; k++) {
+                    celulas.push({
+                        linha: horizontal ? linha : linha + k,
+                        coluna: horizontal ? coluna + k : coluna
+                    });
+                }
+
+                const livre = celulas.every(c => {
+                    if (tabuleiro[c.linha][c.coluna] === NAVIO) return false;
+                    if (regras.naviosPodemEncostar) return true;
+
+                    for (let dl = -1; dl <= 1; dl++) {
+                        for (let dc = -1; dc <= 1; dc++) {
+                            const l = c.linha + dl;
+                            const col = c.coluna + dc;
+                            if (l >= 0 && l < tamanho && col >= 0 && col < tamanho &&
+                                tabuleiro[l][col] === NAVIO) {
+                                return false;
+                            }
+                        }
+                    }
+                    return true;
+                });
+
+                if (livre) {
+                    celulas.forEach(c => { tabuleiro[c.linha][c.coluna] = NAVIO; });
+                    return true;
+                }
+            }
+            return false;
+        });
+
+        if (posicionou) return tabuleiro;
+    }
+
+    throw new Error('Nao foi possivel posicionar a frota no tabuleiro');
+}
+
+// Valida as regras pedidas na criação da sala, completando com o padrão.
+// Retorna { valido: true, regras } ou { valido: false, mensagem }.
+function normalizarRegras(pedido) {
+    if (pedido === undefined || pedido === null) return { valido: true, regras: REGRAS_PADRAO };
+    if (typeof pedido !== 'object' || Array.isArray(pedido)) {
+        return { valido: false, mensagem: 'Regras devem ser um objeto' };
+    }
+
+    const regras = Object.assign({}, REGRAS_PADRAO);
+
+    if (pedido.tamanhoTabuleiro !== undefined) {
+        if (!Number.isInteger(pedido.tamanhoTabuleiro) ||
+            pedido.tamanhoTabuleiro < LIMITES_REGRAS.tamanhoMinimo ||
+            pedido.tamanhoTabuleiro > LIMITES_REGRAS.tamanhoMaximo) {
+            return {
+                valido: false,
+                mensagem: `Tamanho do tabuleiro deve ser entre ${LIMITES_REGRAS.tamanhoMinimo} e ${LIMITES_REGRAS.tamanhoMaximo}`
+            };
+        }
+        regras.tamanhoTabuleiro = pedido.tamanhoTabuleiro;
+    }
+
+    for (const opcao of ['modoSalvo', 'acertoDaNovoTurno', 'naviosPodemEncostar']) {
+        if (pedido[opcao] === undefined) continue;
+        if (typeof pedido[opcao] !== 'boolean') {
+            return { valido: false, mensagem: `Opcao ${opcao} deve ser verdadeiro ou falso` };
+        }
+        regras[opcao] = pedido[opcao];
+    }
+
+    if (pedido.frota !== undefined) {
+        const frota = pedido.frota;
+        if (!Array.isArray(frota) || frota.length === 0 || frota.length > LIMITES_REGRAS.tiposMaximo) {
+            return { valido: false, mensagem: `Frota deve ter entre 1 e ${LIMITES_REGRAS.tiposMaximo} tipos de navio` };
+        }
+
+        const itemValido = item => item && typeof item.tipo === 'string' &&
+            item.tipo.length > 0 && item.tipo.length <= 30 &&
+            Number.isInteger(item.tamanho) && item.tamanho >= 1 && item.tamanho <= regras.tamanhoTabuleiro &&
+            Number.isInteger(item.quantidade) && item.quantidade >= 1 &&
+            item.quantidade <= LIMITES_REGRAS.quantidadeMaxima;
+
+        if (!frota.every(itemValido)) {
+            return { valido: false, mensagem: 'Frota contem navio invalido' };
+        }
+
+        regras.frota = frota.map(item => ({
+            tipo: item.tipo,
+            tamanho: item.tamanho,
+            quantidade: item.quantidade
+        }));
+    }
+
+    const ocupacao = tamanhosDaFrota(regras.frota).reduce((soma, t) => soma + t, 0);
+    if (ocupacao > regras.tamanhoTabuleiro * regras.tamanhoTabuleiro * LIMITES_REGRAS.ocupacaoMaxima) {
+        return { valido: false, mensagem: 'Frota grande demais para o tabuleiro' };
+    }
+
+    // Com navios encostados, conferir a frota custa mais a cada navio
+    if (regras.naviosPodemEncostar &&
+        tamanhosDaFrota(regras.frota).length > LIMITES_REGRAS.naviosEncostadosMaximo) {
+        return {
+            valido: false,
+            mensagem: `Com navios encostados a frota pode ter ate ${LIMITES_REGRAS.naviosEncostadosMaximo} navios`
+        };
+    }
+
+    // Garantir que a frota cabe no tabuleiro com as regras pedidas
+    try {
+        gerarTabuleiroAleatorio(regras);
+    } catch (err) {
+        return { valido: false, mensagem: 'Frota nao cabe no tabuleiro' };
+    }
+
+    return { valido: true, regras: regras };
+}
+
+// Valida um tabuleiro enviado pelo cliente contra a frota declarada.
+// Retorna { valido: true, tabuleiro, navios } com o tabuleiro normalizado
+// ou { valido: false, regra, mensagem } com a regra violada.
+function validarTabuleiro(tabuleiro, regras = REGRAS_PADRAO) {
+    const tamanho = regras.tamanhoTabuleiro;
+
+    if (!Array.isArray(tabuleiro) || tabuleiro.length !== tamanho ||
+        !tabuleiro.every(linha => Array.isArray(linha) && linha.length === tamanho)) {
+        return falha('dimensoes', `Tabuleiro deve ter ${tamanho}x${tamanho} celulas`);
+    }
+
+    const invalida = tabuleiro.some(linha => linha.some(celula =>
+        celula === 'X' || celula === 'O' || (celula !== null && typeof celula === 'object')));
+    if (invalida) {
+        return falha('celula_invalida', 'Tabuleiro contem celulas invalidas');
+    }
+
+    // Normalizar: qualquer célula que não seja navio vira água
+    const normalizado = tabuleiro.map(linha => linha.map(celula => (celula === NAVIO ? NAVIO : AGUA)));
+
+    const tamanhos = tamanhosDaFrota(regras.frota);
+    const totalEsperado = tamanhos.reduce((soma, t) => soma + t, 0);
+    const totalCelulas = normalizado.flat().filter(c => c === NAVIO).length;
+    if (totalCelulas !== totalEsperado) {
+        return falha('total_celulas', `Frota deve ocupar ${totalEsperado} celulas (recebido ${totalCelulas})`);
+    }
+
+    let navios;
+    if (regras.naviosPodemEncostar) {
+        const particao = particionarNavios(normalizado, tamanhos);
+        if (particao.esgotado) {
+            return falha('composicao_frota', 'Navios encostados demais para conferir a frota; afaste alguns');
+        }
+        if (!particao.navios) {
+            return falha('composicao_frota', 'Navios nao correspondem a frota declarada');
+        }
+        navios = particao.navios;
+    } else {
+        const componentes = componentesConectados(normalizado);
+
+        if (!componentes.every(emLinhaReta)) {
+            return falha('formato_navio', 'Navios devem estar em linha reta e continua');
+        }
+
+        if (naviosEncostados(normalizado, componentes)) {
+            return falha('navios_encostados', 'Navios nao podem encostar uns nos outros');
+        }
+
+        const encontrados = componentes.map(c => c.length).sort((a, b) => b - a);
+        if (encontrados.join(',') !== tamanhos.join(',')) {
+            return falha('composicao_frota', 'Navios nao correspondem a frota declarada');
+        }
+
+        navios = componentes.map(criarNavio);
+    }
+
+    return {
+        valido: true,
+        tabuleiro: normalizado,
+        navios: atribuirTipos(navios, regras.frota)
+    };
+}
+
+module.exports = {
+    TAMANHO_TABULEIRO,
+    FROTA_PADRAO,
+    REGRAS_PADRAO,
+    NAVIO,
+    AGUA,
+    tamanhosDaFrota,
+    normalizarRegras,
+    validarTabuleiro,
+    gerarTabuleiroAleatorio,
+    navioNaCelula,
+    registrarAcerto,
+    descreverNavio,
+    resumoFrota,
+    frotaDestruida
+};
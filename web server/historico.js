@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const log = require('./log');
+
+// Partidas finalizadas, uma por linha em JSON
+const ARQUIVO_PARTIDAS = process.env.ARQUIVO_PARTIDAS || path.join(__dirname, 'dados', 'partidas.jsonl');
+
+// Acrescentar partida finalizada ao arquivo
+async function registrarPartida(partida) {
+    await fs.promises.mkdir(path.dirname(ARQUIVO_PARTIDAS), { recursive: true });
+    await fs.promises.appendFile(ARQUIVO_PARTIDAS, JSON.stringify(partida) + '\n');
+}
+
+// Ler todas as partidas, ignorando linhas corrompidas
+async function lerPartidas() {
+    let conteudo;
+    try {
+        conteudo = await fs.promises.readFile(ARQUIVO_PARTIDAS, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    const partidas = [];
+    conteudo.split('\n').forEach(linha => {
+        if (!linha.trim()) return;
+        try {
+            partidas.push(JSON.parse(linha));
+        } catch (err) {
+            log.erro('Linha invalida no historico de partidas');
+        }
+    });
+    return partidas;
+}
+
+// Resumo de uma partida, sem tabuleiros e disparos
+function resumoPartida(partida) {
+    return {
+        id: partida.id,
+        codigo: partida.codigo,
+        inicio: partida.inicio,
+        fim: partida.fim,
+        jogadores: partida.jogadores.map(j => j.nome),
+        vencedor: partida.vencedor,
+        motivo: partida.motivo,
+        totalDisparos: partida.disparos.length
+    };
+}
+
+// Partidas mais recentes primeiro, opcionalmente de um jogador
+async function listarPartidas({ jogador = null, limite = 20 } = {}) {
+    const partidas = await lerPartidas();
+    return partidas
+        .filter(p => !jogador || p.jogadores.some(j => j.nome === jogador))
+        .reverse()
+        .slice(0, limite)
+        .map(resumoPartida);
+}
+
+async function buscarPartida(id) {
+    const partidas = await lerPartidas();
+    return partidas.find(p => p.id === id) || null;
+}
+
+// Estatísticas de um jogador a partir do histórico
+async function estatisticasJogador(nome) {
+    const partidas = (await lerPartidas()).filter(p => p.jogadores.some(j => j.nome === nome));
+
+    let vitorias = 0;
+    let disparos = 0;
+    let acertos = 0;
+    let disparosEmVitorias = 0;
+
+    partidas.forEach(partida => {
+        const indice = partida.jogadores.findIndex(j => j.nome === nome);
+        const proprios = partida.disparos.filter(d => d.jogador === indice);
+
+        disparos += proprios.length;
+        acertos += proprios.filter(d => d.resultado === 'acerto').length;
+
+        if (partida.vencedor === nome) {
+            vitorias++;
+            disparosEmVitorias += proprios.length;
+        }
+    });
+
+    return {
+        nome: nome,
+        partidas: partidas.length,
+        vitorias: vitorias,
+        // Partida interrompida pelo administrador não tem vencedor nem derrotados
+        derrotas: partidas.filter(partida => partida.vencedor).length - vitorias,
+        taxaVitoria: partidas.length > 0 ? vitorias / partidas.length : 0,
+        precisao: disparos > 0 ? acertos / disparos : 0,
+        mediaDisparosVitoria: vitorias > 0 ? disparosEmVitorias / vitorias : null,
+        ultimasPartidas: partidas.slice(-10).reverse().map(resumoPartida)
+    };
+}
+
+module.exports = {
+    registrarPartida,
+    listarPartidas,
+    buscarPartida,
+    estatisticasJogador
+};
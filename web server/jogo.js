@@ -0,0 +1,591 @@
+// Regras da partida de Batalha Naval, sem rede nem temporizadores.
+// Todas as funções recebem o estado da partida e o alteram no lugar;
+// erros de jogada voltam como { valido: false, codigo, mensagem, detalhes }.
+
+const {
+    REGRAS_PADRAO,
+    validarTabuleiro,
+    registrarAcerto,
+    descreverNavio,
+    resumoFrota,
+    frotaDestruida
+} = require('./frota');
+
+// Duelo com 2 jogadores ou todos contra todos com até 6
+const MINIMO_JOGADORES = 2;
+const MAXIMO_JOGADORES = 6;
+
+// Séries de revanche: melhor de 1, 3, 5, 7 ou 9 partidas
+const MAXIMO_PARTIDAS_SERIE = 9;
+
+// Transições permitidas entre os estados da partida
+const TRANSICOES = {
+    aguardando: ['configurando'],
+    configurando: ['aguardando', 'jogando'],
+    jogando: ['finalizado'],
+    finalizado: ['configurando'] // revanche
+};
+
+function falha(codigo, mensagem, detalhes = {}) {
+    return { valido: false, codigo, mensagem, detalhes };
+}
+
+// Placar zerado de uma série
+function novaSerie(melhorDe) {
+    return {
+        melhorDe: melhorDe,
+        partidasJogadas: 0,
+        vitorias: [], // vitórias de cada vaga
+        encerrada: false,
+        vencedor: null
+    };
+}
+
+// Estado inicial de uma partida
+function criarPartida(regras = REGRAS_PADRAO, maxJogadores = MINIMO_JOGADORES, melhorDe = 1) {
+    return {
+        estado: 'aguardando', // aguardando, configurando, jogando, finalizado
+        regras: regras,
+        maxJogadores: maxJogadores,
+        serie: novaSerie(melhorDe),
+        primeiroJogador: 0, // quem dispara primeiro; alterna a cada revanche
+        pedidosRevanche: [],
+        nomes: [],
+        tabuleiros: [],
+        navios: [], // navios de cada jogador, com células e danos
+        disparos: [], // histórico de disparos: { jogador, linha, coluna, resultado, timestamp }
+        turnoAtual: 0,
+        disparosRestantes: 0, // disparos que o jogador da vez ainda pode fazer
+        temposEsgotados: [], // tempos esgotados seguidos de cada jogador
+        eliminados: [], // índices na ordem em que perderam a frota
+        vencedor: null,
+        motivo: null,
+        classificacao: [], // nomes do primeiro ao último colocado
+        tabuleirosIniciais: [], // tabuleiros antes do primeiro disparo, para o histórico
+        inicio: null,
+        eventos: [] // registro da partida para replay: { tipo, timestamp, ... }
+    };
+}
+
+function mudarEstado(partida, novoEstado) {
+    if (!TRANSICOES[partida.estado].includes(novoEstado)) {
+        throw new Error(`Transicao invalida: ${partida.estado} -> ${novoEstado}`);
+    }
+    partida.estado = novoEstado;
+}
+
+// Acrescentar evento ao registro da partida
+function registrarEvento(partida, tipo, dados = {}) {
+    partida.eventos.push(Object.assign({ tipo: tipo, timestamp: Date.now() }, dados));
+}
+
+// Jogadores que ainda têm navios
+function sobreviventes(partida) {
+    return partida.nomes.map((nome, i) => i).filter(i => !partida.eliminados.includes(i));
+}
+
+// Próximo sobrevivente depois de `indice`, na ordem das vagas
+function proximoJogador(partida, indice) {
+    const total = partida.nomes.length;
+    for (let passo = 1; passo <= total; passo++) {
+        const candidato = (indice + passo) % total;
+        if (!partida.eliminados.includes(candidato)) return candidato;
+    }
+    return indice;
+}
+
+// Coordenada inteira dentro do tabuleiro
+function coordenadaValida(valor, tamanho) {
+    return Number.isInteger(valor) && valor >= 0 && valor < tamanho;
+}
+
+// Verificar se o jogador já disparou nesta célula do alvo
+function disparoRepetido(partida, indice, alvo, linha, coluna) {
+    return partida.disparos.some(d =>
+        d.jogador === indice && d.alvo === alvo && d.linha === linha && d.coluna === coluna);
+}
+
+// Células dos oponentes sobreviventes em que o jogador ainda não disparou
+function celulasLivres(partida, indice) {
+    const tamanho = partida.regras.tamanhoTabuleiro;
+    const livres = [];
+    sobreviventes(partida).filter(alvo => alvo !== indice).forEach(alvo => {
+        for (let l = 0; l < tamanho; l++) {
+            for (let c = 0; c < tamanho; c++) {
+                if (!disparoRepetido(partida, indice, alvo, l, c)) livres.push({ alvo: alvo, linha: l, coluna: c });
+            }
+        }
+    });
+    return livres;
+}
+
+// Ocupar uma vaga; com todas as vagas ocupadas começa a configuração
+function adicionarJogador(partida, nome) {
+    if (partida.nomes.length >= partida.maxJogadores) {
+        return falha('sala_cheia', `Sala cheia (maximo ${partida.maxJogadores} jogadores)`);
+    }
+    if (partida.estado !== 'aguardando') {
+        return falha('estado_invalido', 'Partida ja iniciada');
+    }
+
+    // Nomes identificam jogadores nas mensagens, então não se repetem na sala
+    const indice = partida.nomes.length;
+    const base = nome || `Jogador ${indice + 1}`;
+    let unico = base;
+    for (let n = 2; partida.nomes.includes(unico); n++) {
+        unico = `${base} (${n})`;
+    }
+    partida.nomes.push(unico);
+
+    if (partida.nomes.length === partida.maxJogadores) {
+        mudarEstado(partida, 'configurando');
+    }
+
+    return { valido: true, indice: indice, nome: partida.nomes[indice] };
+}
+
+// Liberar uma vaga. Durante o jogo, quem sai é eliminado por abandono e,
+// se a partida continuar, a vaga fica ocupada para a classificação;
+// durante a configuração, a partida volta a aguardar jogadores.
+// Retorna se a vaga foi de fato liberada.
+function removerJogador(partida, indice) {
+    if (partida.estado === 'jogando') {
+        if (!partida.eliminados.includes(indice)) eliminar(partida, indice, 'abandono');
+        if (partida.estado === 'jogando') return false;
+    }
+
+    // Dados por vaga saem juntos, senão nomes e tabuleiros se desencontram
+    const deslocar = i => (i > indice ? i - 1 : i);
+    partida.nomes.splice(indice, 1);
+    partida.tabuleiros.splice(indice, 1);
+    partida.navios.splice(indice, 1);
+    partida.temposEsgotados.splice(indice, 1);
+    partida.tabuleirosIniciais.splice(indice, 1);
+    partida.eliminados = partida.eliminados.filter(i => i !== indice).map(deslocar);
+    partida.disparos = partida.disparos
+        .filter(d => d.jogador !== indice && d.alvo !== indice)
+        .map(d => Object.assign({}, d, { jogador: deslocar(d.jogador), alvo: deslocar(d.alvo) }));
+
+    // Outros jogadores, outra série
+    partida.serie = novaSerie(partida.serie.melhorDe);
+    partida.primeiroJogador = 0;
+    partida.pedidosRevanche = [];
+
+    if (partida.estado === 'configurando') {
+        mudarEstado(partida, 'aguardando');
+        partida.tabuleiros = [];
+        partida.navios = [];
+        partida.eventos = [];
+    }
+    return true;
+}
+
+// Validar e registrar o tabuleiro de um jogador
+function configurarTabuleiro(partida, indice, tabuleiro, opcoes = {}) {
+    if (partida.estado !== 'configurando') {
+        return falha('estado_invalido', 'Tabuleiro so pode ser configurado antes do jogo');
+    }
+
+    const validacao = validarTabuleiro(tabuleiro, partida.regras);
+    if (!validacao.valido) {
+        return falha('tabuleiro_invalido', validacao.mensagem, { regra: validacao.regra });
+    }
+
+    partida.tabuleiros[indice] = validacao.tabuleiro;
+    partida.navios[indice] = validacao.navios;
+
+    const evento = {
+        jogador: indice,
+        tabuleiro: validacao.tabuleiro.map(linha => linha.slice())
+    };
+    if (opcoes.automatico) evento.automatico = true;
+    registrarEvento(partida, 'tabuleiro_configurado', evento);
+
+    return { valido: true, tabuleiro: validacao.tabuleiro };
+}
+
+// Jogadores que ainda não configuraram o tabuleiro
+function jogadoresPendentes(partida) {
+    return partida.nomes.map((nome, i) => i).filter(i => !partida.tabuleiros[i]);
+}
+
+// Passar a vez para um jogador
+function iniciarTurno(partida, indice) {
+    partida.turnoAtual = indice;
+    partida.disparosRestantes = partida.regras.modoSalvo
+        ? resumoFrota(partida.navios[indice]).restantes
+        : 1;
+    registrarEvento(partida, 'turno', { jogador: indice });
+}
+
+// Começar o jogo se todos os tabuleiros estiverem configurados
+function iniciarSePronto(partida) {
+    if (partida.estado !== 'configurando' || jogadoresPendentes(partida).length > 0) {
+        return false;
+    }
+
+    mudarEstado(partida, 'jogando');
+    partida.temposEsgotados = partida.nomes.map(() => 0);
+    partida.tabuleirosIniciais = partida.tabuleiros.map(tabuleiro => tabuleiro.map(linha => linha.slice()));
+    partida.inicio = Date.now();
+    registrarEvento(partida, 'jogo_iniciado', { turnoInicial: partida.primeiroJogador });
+
+    iniciarTurno(partida, partida.primeiroJogador);
+    return true;
+}
+
+// Disparo do jogador da vez contra opcoes.alvo, que pode ser omitido
+// quando só resta um oponente. Avança o turno ou encerra a partida;
+// novoTurno indica se começou um turno (de qualquer jogador) com prazo novo.
+// Disparos automáticos não zeram a contagem de tempos esgotados.
+function atacar(partida, indice, linha, coluna, opcoes = {}) {
+    if (partida.estado !== 'jogando') {
+        return falha('estado_invalido', 'Jogo nao esta em andamento');
+    }
+
+    if (partida.turnoAtual !== indice) {
+        return falha('fora_do_turno', 'Nao e seu turno');
+    }
+
+    const oponentes = sobreviventes(partida).filter(i => i !== indice);
+    let alvo = opcoes.alvo;
+    if (alvo === undefined || alvo === null) {
+        if (oponentes.length > 1) {
+            return falha('alvo_invalido', 'Escolha qual oponente atacar');
+        }
+        alvo = oponentes[0];
+    } else if (!oponentes.includes(alvo)) {
+        return falha('alvo_invalido', 'Alvo deve ser um oponente ainda em jogo');
+    }
+
+    const tamanho = partida.regras.tamanhoTabuleiro;
+    if (!coordenadaValida(linha, tamanho) || !coordenadaValida(coluna, tamanho)) {
+        return falha('coordenada_invalida', `Linha e coluna devem ser inteiros entre 0 e ${tamanho - 1}`);
+    }
+
+    // Disparo repetido não consome o turno
+    if (disparoRepetido(partida, indice, alvo, linha, coluna)) {
+        return falha('disparo_repetido', 'Celula ja atacada', { linha: linha, coluna: coluna });
+    }
+
+    if (!opcoes.automatico) partida.temposEsgotados[indice] = 0;
+
+    const tabuleiroAlvo = partida.tabuleiros[alvo];
+    const naviosAlvo = partida.navios[alvo];
+
+    let resultado;
+    let afundado = null;
+
+    if (tabuleiroAlvo[linha][coluna] === 'N') {
+        resultado = 'acerto';
+        tabuleiroAlvo[linha][coluna] = 'X';
+
+        const navioAfundado = registrarAcerto(naviosAlvo, linha, coluna);
+        if (navioAfundado) afundado = descreverNavio(navioAfundado);
+    } else {
+        resultado = 'agua';
+        tabuleiroAlvo[linha][coluna] = 'O';
+    }
+
+    partida.disparos.push({
+        jogador: indice,
+        alvo: alvo,
+        linha: linha,
+        coluna: coluna,
+        resultado: resultado,
+        timestamp: Date.now()
+    });
+    registrarEvento(partida, 'ataque', {
+        jogador: indice,
+        alvo: alvo,
+        linha: linha,
+        coluna: coluna,
+        resultado: resultado
+    });
+
+    let novoTurno = true;
+    const eliminado = frotaDestruida(naviosAlvo);
+    if (eliminado) eliminar(partida, alvo, 'frota_destruida');
+
+    if (partida.estado === 'finalizado') {
+        novoTurno = false;
+    } else if (resultado === 'acerto' && partida.regras.acertoDaNovoTurno && !partida.regras.modoSalvo) {
+        // Acertou, continua jogando
+        iniciarTurno(partida, indice);
+    } else if (--partida.disparosRestantes > 0) {
+        // Modo salvo: ainda há disparos neste turno, com o mesmo prazo
+        novoTurno = false;
+    } else {
+        iniciarTurno(partida, proximoJogador(partida, indice));
+    }
+
+    return {
+        valido: true,
+        alvo: alvo,
+        eliminado: eliminado,
+        resultado: resultado,
+        afundado: afundado,
+        frotaAtacante: resumoFrota(partida.navios[indice]),
+        frotaAlvo: resumoFrota(naviosAlvo),
+        novoTurno: novoTurno
+    };
+}
+
+// Prazo do turno esgotado. Retorna quantos tempos seguidos o jogador da vez
+// já deixou esgotar; ao atingir o limite, é eliminado por W.O.
+function registrarTempoEsgotado(partida, limite) {
+    const indice = partida.turnoAtual;
+    partida.temposEsgotados[indice] = (partida.temposEsgotados[indice] || 0) + 1;
+    registrarEvento(partida, 'tempo_esgotado', { jogador: indice });
+
+    const eliminado = partida.temposEsgotados[indice] >= limite;
+    if (eliminado) eliminar(partida, indice, 'tempo_esgotado');
+
+    return { consecutivos: partida.temposEsgotados[indice], eliminado: eliminado };
+}
+
+// Tirar um jogador da disputa. Com um só sobrevivente a partida acaba;
+// se era a vez do eliminado, ela passa ao próximo.
+function eliminar(partida, indice, motivo) {
+    partida.eliminados.push(indice);
+    registrarEvento(partida, 'jogador_eliminado', { jogador: indice, motivo: motivo });
+
+    const restantes = sobreviventes(partida);
+    if (restantes.length === 1) {
+        finalizar(partida, restantes[0], motivo);
+    } else if (partida.turnoAtual === indice) {
+        pularTurno(partida);
+    }
+}
+
+// Colocação de um eliminado: o primeiro a sair fica em último
+function posicaoEliminado(partida, indice) {
+    return partida.nomes.length - partida.eliminados.indexOf(indice);
+}
+
+// Vez perdida sem disparar
+function pularTurno(partida) {
+    iniciarTurno(partida, proximoJogador(partida, partida.turnoAtual));
+}
+
+// Encerrar partida declarando vencedor
+function finalizar(partida, indiceVencedor, motivo) {
+    mudarEstado(partida, 'finalizado');
+    partida.vencedor = partida.nomes[indiceVencedor];
+    partida.motivo = motivo;
+
+    const restantes = sobreviventes(partida).filter(i => i !== indiceVencedor);
+    partida.classificacao = [indiceVencedor]
+        .concat(restantes, partida.eliminados.slice().reverse())
+        .map(i => partida.nomes[i]);
+
+    registrarEvento(partida, 'fim_jogo', {
+        vencedor: partida.vencedor,
+        motivo: motivo,
+        classificacao: partida.classificacao
+    });
+
+    contarVitoria(partida, indiceVencedor);
+}
+
+// Encerrar a partida sem vencedor, por decisão de fora do jogo (administrador).
+// Quem ainda disputava fica à frente dos eliminados; a série não conta a partida.
+function interromper(partida, motivo) {
+    mudarEstado(partida, 'finalizado');
+    partida.vencedor = null;
+    partida.motivo = motivo;
+    partida.classificacao = sobreviventes(partida)
+        .concat(partida.eliminados.slice().reverse())
+        .map(i => partida.nomes[i]);
+
+    registrarEvento(partida, 'fim_jogo', {
+        vencedor: null,
+        motivo: motivo,
+        classificacao: partida.classificacao
+    });
+}
+
+// Somar a vitória à série. Ela termina quando alguém tem a maioria
+// das partidas ou quando todas foram jogadas (no todos contra todos
+// pode terminar empatada, sem vencedor).
+function contarVitoria(partida, indiceVencedor) {
+    const serie = partida.serie;
+    serie.partidasJogadas++;
+    serie.vitorias[indiceVencedor] = (serie.vitorias[indiceVencedor] || 0) + 1;
+
+    const necessarias = Math.floor(serie.melhorDe / 2) + 1;
+    if (serie.vitorias[indiceVencedor] < necessarias && serie.partidasJogadas < serie.melhorDe) return;
+
+    const maximo = Math.max(...partida.nomes.map((nome, i) => serie.vitorias[i] || 0));
+    const lideres = partida.nomes.filter((nome, i) => (serie.vitorias[i] || 0) === maximo);
+    serie.encerrada = true;
+    serie.vencedor = lideres.length === 1 ? lideres[0] : null;
+}
+
+// Placar da série para as mensagens
+function resumoSerie(partida) {
+    const serie = partida.serie;
+    return {
+        melhorDe: serie.melhorDe,
+        partidasJogadas: serie.partidasJogadas,
+        placar: partida.nomes.map((nome, i) => ({ jogador: nome, vitorias: serie.vitorias[i] || 0 })),
+        encerrada: serie.encerrada,
+        vencedor: serie.vencedor
+    };
+}
+
+// Pedir revanche. Quando todos da partida pediram ou aceitaram,
+// volta para a configuração com outro jogador disparando primeiro.
+function pedirRevanche(partida, indice) {
+    if (partida.estado !== 'finalizado') {
+        return falha('estado_invalido', 'Revanche so pode ser pedida depois do fim do jogo');
+    }
+    if (partida.nomes.length < partida.maxJogadores) {
+        return falha('revanche_indisponivel', 'Nem todos os jogadores continuam na sala');
+    }
+
+    if (!partida.pedidosRevanche.includes(indice)) partida.pedidosRevanche.push(indice);
+
+    const pendentes = partida.nomes.map((nome, i) => i).filter(i => !partida.pedidosRevanche.includes(i));
+    if (pendentes.length === 0) reiniciar(partida);
+
+    return { valido: true, pendentes: pendentes, reiniciou: pendentes.length === 0 };
+}
+
+// Aceitar exige um pedido de outro jogador
+function aceitarRevanche(partida, indice) {
+    if (partida.estado === 'finalizado' && partida.pedidosRevanche.length === 0) {
+        return falha('estado_invalido', 'Nenhum pedido de revanche');
+    }
+    return pedirRevanche(partida, indice);
+}
+
+// Nova partida entre os mesmos jogadores; série terminada recomeça do zero
+function reiniciar(partida) {
+    mudarEstado(partida, 'configurando');
+
+    if (partida.serie.encerrada) partida.serie = novaSerie(partida.serie.melhorDe);
+    partida.primeiroJogador = (partida.primeiroJogador + 1) % partida.nomes.length;
+
+    Object.assign(partida, {
+        tabuleiros: [],
+        navios: [],
+        disparos: [],
+        turnoAtual: partida.primeiroJogador,
+        disparosRestantes: 0,
+        temposEsgotados: [],
+        eliminados: [],
+        vencedor: null,
+        motivo: null,
+        classificacao: [],
+        tabuleirosIniciais: [],
+        inicio: null,
+        eventos: [],
+        pedidosRevanche: []
+    });
+}
+
+// Células já atacadas de um tabuleiro (acertos e água)
+function celulasReveladas(tabuleiro) {
+    const reveladas = [];
+    if (!tabuleiro) return reveladas;
+
+    tabuleiro.forEach((linha, l) => {
+        linha.forEach((celula, c) => {
+            if (celula === 'X' || celula === 'O') {
+                reveladas.push({
+                    linha: l,
+                    coluna: c,
+                    resultado: celula === 'X' ? 'acerto' : 'agua'
+                });
+            }
+        });
+    });
+
+    return reveladas;
+}
+
+function naviosAfundados(partida, indice) {
+    return (partida.navios[indice] || []).filter(n => n.afundado).map(descreverNavio);
+}
+
+// Estado da partida visto por um espectador: navios só aparecem
+// quando afundados ou depois do fim do jogo
+function estadoParaEspectador(partida) {
+    const finalizado = partida.estado === 'finalizado';
+    return {
+        codigo: partida.codigo,
+        estado: partida.estado,
+        jogadores: partida.nomes,
+        turnoAtual: partida.estado === 'jogando' ? partida.nomes[partida.turnoAtual] : null,
+        prazo: partida.prazo,
+        regras: partida.regras,
+        vencedor: partida.vencedor,
+        tabuleiros: partida.nomes.map((nome, i) => ({
+            jogador: nome,
+            reveladas: celulasReveladas(partida.tabuleiros[i]),
+            naviosAfundados: naviosAfundados(partida, i),
+            frota: resumoFrota(partida.navios[i]),
+            eliminado: partida.eliminados.includes(i),
+            tabuleiro: finalizado ? partida.tabuleiros[i] || null : null
+        }))
+    };
+}
+
+// Estado da partida visto por um jogador: o próprio tabuleiro inteiro
+// e só o que já foi revelado dos oponentes. Os campos no singular
+// descrevem o próximo oponente, como no duelo.
+function estadoParaJogador(partida, indice) {
+    const oponente = partida.nomes.length > 1 ? proximoJogador(partida, indice) : -1;
+    return {
+        oponente: partida.nomes[oponente] || null,
+        estado: partida.estado,
+        tabuleiro: partida.tabuleiros[indice] || null,
+        tabuleiroOponente: celulasReveladas(partida.tabuleiros[oponente]),
+        naviosAfundadosOponente: naviosAfundados(partida, oponente),
+        frotaPropria: resumoFrota(partida.navios[indice]),
+        frotaOponente: resumoFrota(partida.navios[oponente]),
+        oponentes: partida.nomes.map((nome, i) => i).filter(i => i !== indice).map(i => ({
+            jogador: partida.nomes[i],
+            reveladas: celulasReveladas(partida.tabuleiros[i]),
+            naviosAfundados: naviosAfundados(partida, i),
+            frota: resumoFrota(partida.navios[i]),
+            eliminado: partida.eliminados.includes(i)
+        })),
+        eliminado: partida.eliminados.includes(indice),
+        turnoAtual: partida.estado === 'jogando' ? partida.nomes[partida.turnoAtual] : null,
+        prazo: partida.prazo,
+        regras: partida.regras,
+        vencedor: partida.vencedor,
+        classificacao: partida.classificacao,
+        serie: resumoSerie(partida)
+    };
+}
+
+module.exports = {
+    MINIMO_JOGADORES,
+    MAXIMO_JOGADORES,
+    MAXIMO_PARTIDAS_SERIE,
+    TRANSICOES,
+    criarPartida,
+    sobreviventes,
+    proximoJogador,
+    celulasLivres,
+    adicionarJogador,
+    removerJogador,
+    configurarTabuleiro,
+    jogadoresPendentes,
+    iniciarSePronto,
+    atacar,
+    registrarTempoEsgotado,
+    pularTurno,
+    eliminar,
+    posicaoEliminado,
+    finalizar,
+    interromper,
+    resumoSerie,
+    pedirRevanche,
+    aceitarRevanche,
+    estadoParaEspectador,
+    estadoParaJogador
+};
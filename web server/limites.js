@@ -0,0 +1,169 @@
+const log = require('./log');
+
+// Proteção contra abuso: conexões por endereço, taxa de mensagens por tipo,
+// tamanho das mensagens, origens aceitas e banimentos temporários
+
+function inteiroEnv(nome, padrao) {
+    return parseInt(process.env[nome], 10) || padrao;
+}
+
+// Sockets abertos ao mesmo tempo por endereço
+const MAX_CONEXOES_POR_IP = inteiroEnv('MAX_CONEXOES_POR_IP', 20);
+
+// Maior mensagem aceita; acima disso o socket é fechado com o código 1009
+const TAMANHO_MAXIMO_MENSAGEM = inteiroEnv('TAMANHO_MAXIMO_MENSAGEM', 64 * 1024);
+
+// Origens aceitas no upgrade, separadas por vírgula; vazio aceita qualquer uma
+const ORIGENS_PERMITIDAS = (process.env.ORIGENS_PERMITIDAS || '')
+    .split(',')
+    .map(origem => origem.trim())
+    .filter(Boolean);
+
+// Quem acumula INFRACOES_PARA_BANIMENTO dentro de JANELA_INFRACOES_MS
+// fica bloqueado por DURACAO_BANIMENTO_MS
+const INFRACOES_PARA_BANIMENTO = inteiroEnv('INFRACOES_PARA_BANIMENTO', 10);
+const JANELA_INFRACOES_MS = inteiroEnv('JANELA_INFRACOES_MS', 60 * 1000);
+const DURACAO_BANIMENTO_MS = inteiroEnv('DURACAO_BANIMENTO_MS', 10 * 60 * 1000);
+
+// Balde de fichas por tipo de mensagem: até `capacidade` de uma vez,
+// repostas a `porSegundo`. Tipos fora da tabela usam `padrao`.
+// criar_conta e criar_sessao são as rotas HTTP que verificam senha.
+const TAXAS_PADRAO = {
+    padrao: { capacidade: 20, porSegundo: 10 },
+    criar_sala: { capacidade: 3, porSegundo: 0.2 },
+    jogar_contra_bot: { capacidade: 3, porSegundo: 0.2 },
+    entrar_sala: { capacidade: 5, porSegundo: 1 },
+    assistir_sala: { capacidade: 5, porSegundo: 1 },
+    buscar_partida: { capacidade: 3, porSegundo: 0.5 },
+    listar_salas: { capacidade: 5, porSegundo: 1 },
+    assistir_replay: { capacidade: 3, porSegundo: 0.5 },
+    criar_conta: { capacidade: 3, porSegundo: 0.05 },
+    criar_sessao: { capacidade: 5, porSegundo: 0.2 }
+};
+
+// LIMITES_TAXA: JSON com os tipos a sobrescrever, por exemplo
+// {"criar_sala":{"capacidade":5,"porSegundo":1}}
+function lerTaxas() {
+    if (!process.env.LIMITES_TAXA) return TAXAS_PADRAO;
+
+    try {
+        return Object.assign({}, TAXAS_PADRAO, JSON.parse(process.env.LIMITES_TAXA));
+    } catch (err) {
+        log.erro('LIMITES_TAXA nao e um JSON valido, usando os limites padrao');
+        return TAXAS_PADRAO;
+    }
+}
+
+const TAXAS = lerTaxas();
+
+// Estado por endereço
+const conexoesPorIp = new Map(); // ip -> sockets abertos
+const infracoes = new Map(); // ip -> instantes das infrações recentes
+const banidos = new Map(); // ip -> fim do banimento
+const baldesHttp = new Map(); // ip -> { baldes, usado }, das rotas HTTP sem conexão
+
+function origemPermitida(origem) {
+    return ORIGENS_PERMITIDAS.length === 0 || ORIGENS_PERMITIDAS.includes(origem);
+}
+
+// Fim do banimento do endereço, ou 0 se não está banido
+function banidoAte(ip, agora = Date.now()) {
+    const fim = banidos.get(ip) || 0;
+    if (fim && fim <= agora) {
+        banidos.delete(ip);
+        return 0;
+    }
+    return fim;
+}
+
+function podeConectar(ip) {
+    return (conexoesPorIp.get(ip) || 0) < MAX_CONEXOES_POR_IP;
+}
+
+function ocuparEndereco(ip) {
+    conexoesPorIp.set(ip, (conexoesPorIp.get(ip) || 0) + 1);
+}
+
+function liberarEndereco(ip) {
+    const abertas = (conexoesPorIp.get(ip) || 0) - 1;
+    if (abertas > 0) {
+        conexoesPorIp.set(ip, abertas);
+    } else {
+        conexoesPorIp.delete(ip);
+    }
+}
+
+// Contar uma infração; retorna o fim do banimento se ela completou o limite, senão 0
+function registrarInfracao(ip, agora = Date.now()) {
+    if (banidoAte(ip, agora)) return 0;
+
+    const recentes = (infracoes.get(ip) || []).filter(instante => agora - instante < JANELA_INFRACOES_MS);
+    recentes.push(agora);
+
+    if (recentes.length < INFRACOES_PARA_BANIMENTO) {
+        infracoes.set(ip, recentes);
+        return 0;
+    }
+
+    infracoes.delete(ip);
+    banidos.set(ip, agora + DURACAO_BANIMENTO_MS);
+    return agora + DURACAO_BANIMENTO_MS;
+}
+
+// Esquecer infrações antigas e banimentos vencidos
+function varrer(agora = Date.now()) {
+    infracoes.forEach((instantes, ip) => {
+        if (agora - instantes[instantes.length - 1] >= JANELA_INFRACOES_MS) infracoes.delete(ip);
+    });
+    banidos.forEach((fim, ip) => {
+        if (fim <= agora) banidos.delete(ip);
+    });
+    // Parado por uma janela inteira, o balde já estaria cheio de novo
+    baldesHttp.forEach((registro, ip) => {
+        if (agora - registro.usado >= JANELA_INFRACOES_MS) baldesHttp.delete(ip);
+    });
+}
+
+setInterval(varrer, JANELA_INFRACOES_MS).unref();
+
+// Baldes de uma conexão, criados conforme os tipos aparecem
+function criarBaldes() {
+    return {};
+}
+
+// Gastar uma ficha do tipo; retorna 0 se pôde, senão quantos ms faltam para a próxima
+function consumir(baldes, tipo, agora = Date.now()) {
+    const chave = Object.prototype.hasOwnProperty.call(TAXAS, tipo) ? tipo : 'padrao';
+    const taxa = TAXAS[chave];
+
+    const balde = baldes[chave] || (baldes[chave] = { fichas: taxa.capacidade, atualizado: agora });
+    balde.fichas = Math.min(taxa.capacidade, balde.fichas + (agora - balde.atualizado) / 1000 * taxa.porSegundo);
+    balde.atualizado = agora;
+
+    if (balde.fichas < 1) {
+        return Math.ceil((1 - balde.fichas) / taxa.porSegundo * 1000);
+    }
+    balde.fichas--;
+    return 0;
+}
+
+// Mesmo que consumir, com os baldes guardados por endereço
+function consumirPorEndereco(ip, tipo, agora = Date.now()) {
+    const registro = baldesHttp.get(ip) || { baldes: criarBaldes() };
+    registro.usado = agora;
+    baldesHttp.set(ip, registro);
+    return consumir(registro.baldes, tipo, agora);
+}
+
+module.exports = {
+    TAMANHO_MAXIMO_MENSAGEM,
+    origemPermitida,
+    banidoAte,
+    podeConectar,
+    ocuparEndereco,
+    liberarEndereco,
+    registrarInfracao,
+    criarBaldes,
+    consumir,
+    consumirPorEndereco
+};
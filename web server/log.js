@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+// Log estruturado: uma linha JSON por evento, sempre com sala, conexão e
+// jogador (null quando não se aplicam), gravada em uma ou mais saídas
+
+const NIVEIS = { debug: 10, info: 20, aviso: 30, erro: 40 };
+
+// Nível mínimo geral; salas em depuração registram também o debug
+const NIVEL_MINIMO = NIVEIS[process.env.NIVEL_LOG] || NIVEIS.info;
+
+// Campos trocados antes de gravar: posições dos navios, que entregariam o
+// jogo a quem lê o log, e credenciais. Comparados em minúsculas.
+const CAMPOS_OMITIDOS = new Set([
+    'tabuleiro', 'tabuleiros', 'tabuleirosiniciais', 'navios',
+    'token', 'sessoes', 'senha', 'hash', 'sal', 'authorization'
+]);
+const OMITIDO = '[omitido]';
+const PROFUNDIDADE_MAXIMA = 8;
+
+// Rotação do arquivo: acima do tamanho, vira .1, o .1 vira .2 e assim por diante
+const TAMANHO_MAXIMO_ARQUIVO = parseInt(process.env.TAMANHO_MAXIMO_LOG, 10) || 10 * 1024 * 1024;
+const ARQUIVOS_MANTIDOS = parseInt(process.env.ARQUIVOS_LOG_MANTIDOS, 10) || 5;
+
+// Códigos das salas com debug ligado
+const salasDepuracao = new Set();
+
+// Cópia sem os campos sensíveis; erros viram { mensagem, codigo, pilha }
+function omitirSegredos(valor, profundidade = 0) {
+    if (valor instanceof Error) {
+        return { mensagem: valor.message, codigo: valor.code, pilha: valor.stack };
+    }
+    if (!valor || typeof valor !== 'object') return valor;
+    if (profundidade >= PROFUNDIDADE_MAXIMA) return '[...]';
+    if (Array.isArray(valor)) return valor.map(item => omitirSegredos(item, profundidade + 1));
+
+    const copia = {};
+    Object.keys(valor).forEach(chave => {
+        copia[chave] = CAMPOS_OMITIDOS.has(chave.toLowerCase())
+            ? OMITIDO
+            : omitirSegredos(valor[chave], profundidade + 1);
+    });
+    return copia;
+}
+
+// Saídas: funções que recebem cada linha já serializada
+function saidaPadrao() {
+    return linha => process.stdout.write(linha + '\n');
+}
+
+function renomearSeExiste(origem, destino) {
+    try {
+        fs.renameSync(origem, destino);
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+}
+
+function saidaArquivo(caminho, { tamanhoMaximo = TAMANHO_MAXIMO_ARQUIVO, mantidos = ARQUIVOS_MANTIDOS } = {}) {
+    fs.mkdirSync(path.dirname(caminho), { recursive: true });
+
+    let tamanho = 0;
+    try {
+        tamanho = fs.statSync(caminho).size;
+    } catch (err) {
+        // Arquivo ainda não existe
+    }
+    let fluxo = fs.createWriteStream(caminho, { flags: 'a' });
+
+    // O fluxo antigo termina de gravar no arquivo já renomeado
+    function rotacionar() {
+        fluxo.end();
+        for (let i = mantidos - 1; i >= 1; i--) {
+            renomearSeExiste(`${caminho}.${i}`, `${caminho}.${i + 1}`);
+        }
+        renomearSeExiste(caminho, `${caminho}.1`);
+        fluxo = fs.createWriteStream(caminho, { flags: 'a' });
+        tamanho = 0;
+    }
+
+    return linha => {
+        const dados = linha + '\n';
+        if (tamanho > 0 && tamanho + Buffer.byteLength(dados) > tamanhoMaximo) rotacionar();
+        fluxo.write(dados);
+        tamanho += Buffer.byteLength(dados);
+    };
+}
+
+// SAIDAS_LOG: lista separada por vírgula de stdout e arquivo (em ARQUIVO_LOG)
+function saidasDoAmbiente() {
+    return (process.env.SAIDAS_LOG || 'stdout')
+        .split(',')
+        .map(nome => nome.trim())
+        .filter(Boolean)
+        .map(nome => {
+            if (nome === 'stdout') return saidaPadrao();
+            if (nome === 'arquivo') {
+                return saidaArquivo(process.env.ARQUIVO_LOG || path.join(__dirname, 'dados', 'servidor.log'));
+            }
+            throw new Error(`Saida de log desconhecida: ${nome}`);
+        });
+}
+
+let saidas = saidasDoAmbiente();
+
+// Substituir as saídas, por exemplo para coletar o log em outro lugar
+function definirSaidas(novas) {
+    saidas = novas;
+}
+
+function definirDepuracaoSala(codigo, ativa) {
+    if (ativa) {
+        salasDepuracao.add(codigo);
+    } else {
+        salasDepuracao.delete(codigo);
+    }
+}
+
+function depuracaoAtiva(codigo) {
+    return salasDepuracao.has(codigo);
+}
+
+// Campos da linha, do menos ao mais específico: padrões, contexto do log,
+// campos do evento
+function escrever(nivel, contexto, evento, campos) {
+    const sala = campos.sala !== undefined ? campos.sala : contexto.sala;
+    if (NIVEIS[nivel] < NIVEL_MINIMO && !salasDepuracao.has(sala)) return;
+
+    const linha = JSON.stringify(Object.assign(
+        { momento: new Date().toISOString(), nivel: nivel, evento: evento, sala: null, conexao: null, jogador: null },
+        omitirSegredos(contexto),
+        omitirSegredos(campos)
+    ));
+    saidas.forEach(saida => saida(linha));
+}
+
+// Log com campos fixos em todas as linhas; com() acrescenta mais
+function criarLog(contexto = {}) {
+    const nivel = nome => (evento, campos = {}) => escrever(nome, contexto, evento, campos);
+    return {
+        debug: nivel('debug'),
+        info: nivel('info'),
+        aviso: nivel('aviso'),
+        erro: nivel('erro'),
+        com: extras => criarLog(Object.assign({}, contexto, extras))
+    };
+}
+
+module.exports = Object.assign(criarLog(), {
+    NIVEIS,
+    criarLog,
+    omitirSegredos,
+    saidaPadrao,
+    saidaArquivo,
+    definirSaidas,
+    definirDepuracaoSala,
+    depuracaoAtiva
+});
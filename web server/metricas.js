@@ -0,0 +1,76 @@
+// Métricas do servidor no formato de texto do Prometheus
+
+const PREFIXO = 'batalha_naval';
+
+// Limites dos baldes do histograma de duração das partidas, em segundos
+const BALDES_DURACAO = [30, 60, 120, 300, 600, 1200, 1800, 3600];
+
+// Contadores desde o início do processo
+const mensagens = new Map(); // tipo -> total
+const erros = new Map(); // código -> total
+const duracoes = { baldes: BALDES_DURACAO.map(() => 0), soma: 0, total: 0 };
+
+function incrementar(mapa, chave) {
+    mapa.set(chave, (mapa.get(chave) || 0) + 1);
+}
+
+function contarMensagem(tipo) {
+    incrementar(mensagens, tipo);
+}
+
+function contarErro(codigo) {
+    incrementar(erros, codigo);
+}
+
+function observarDuracao(segundos) {
+    BALDES_DURACAO.forEach((limite, i) => {
+        if (segundos <= limite) duracoes.baldes[i]++;
+    });
+    duracoes.soma += segundos;
+    duracoes.total++;
+}
+
+function escaparRotulo(valor) {
+    return String(valor).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Texto para o /metrics. Os medidores vêm lidos na hora:
+// { conexoes, filaPartidas, salasPorEstado: { estado: total } }
+function exportar({ conexoes, filaPartidas, salasPorEstado }) {
+    const linhas = [];
+
+    function metrica(nome, tipo, ajuda, valores) {
+        linhas.push(`# HELP ${PREFIXO}_${nome} ${ajuda}`, `# TYPE ${PREFIXO}_${nome} ${tipo}`);
+        valores.forEach(([rotulos, valor, sufixo = '']) => {
+            const texto = Object.keys(rotulos)
+                .map(rotulo => `${rotulo}="${escaparRotulo(rotulos[rotulo])}"`)
+                .join(',');
+            linhas.push(`${PREFIXO}_${nome}${sufixo}${texto ? `{${texto}}` : ''} ${valor}`);
+        });
+    }
+
+    metrica('conexoes', 'gauge', 'Sockets WebSocket abertos neste no', [[{}, conexoes]]);
+    metrica('fila_partidas', 'gauge', 'Conexoes buscando partida', [[{}, filaPartidas]]);
+    metrica('salas', 'gauge', 'Salas deste no por estado',
+        Object.keys(salasPorEstado).map(estado => [{ estado }, salasPorEstado[estado]]));
+    metrica('mensagens_total', 'counter', 'Mensagens recebidas por tipo',
+        Array.from(mensagens).map(([tipo, total]) => [{ tipo }, total]));
+    metrica('erros_total', 'counter', 'Erros enviados aos clientes por codigo',
+        Array.from(erros).map(([codigo, total]) => [{ codigo }, total]));
+    metrica('duracao_partida_segundos', 'histogram', 'Duracao das partidas terminadas',
+        BALDES_DURACAO.map((limite, i) => [{ le: limite }, duracoes.baldes[i], '_bucket'])
+            .concat([
+                [{ le: '+Inf' }, duracoes.total, '_bucket'],
+                [{}, duracoes.soma, '_sum'],
+                [{}, duracoes.total, '_count']
+            ]));
+
+    return linhas.join('\n') + '\n';
+}
+
+module.exports = {
+    contarMensagem,
+    contarErro,
+    observarDuracao,
+    exportar
+};
@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const jogo = require('./jogo');
+const log = require('./log');
+const { gravarArquivoAtomico } = require('./arquivos');
+
+// Estado de todas as salas, regravado a cada mudança
+const ARQUIVO_SALAS = process.env.ARQUIVO_SALAS || path.join(__dirname, 'dados', 'salas.json');
+
+// Campos do estado do jogo; o resto da sala (conexões, temporizadores) não é salvo
+const CAMPOS_PARTIDA = Object.keys(jogo.criarPartida());
+
+// Uma gravação por vez; o que chega enquanto ela corre espera como um único
+// instantâneo pendente, substituído pelo mais novo
+let gravacao = null;
+let pendente = null;
+
+// Parte da sala que sobrevive a um reinício
+function instantaneoSala(sala) {
+    const dados = {};
+    CAMPOS_PARTIDA.forEach(campo => { dados[campo] = sala[campo]; });
+
+    return Object.assign(dados, {
+        codigo: sala.codigo,
+        no: sala.no, // dono registrado no adaptador, retomado após uma queda
+        sessoes: sala.sessoes,
+        contas: sala.contas,
+        publica: sala.publica,
+        permitirConvidados: sala.permitirConvidados,
+        anfitriao: sala.anfitriao,
+        tempos: sala.tempos,
+        chat: sala.chat,
+        expulsos: sala.expulsos,
+        // Dificuldade de cada vaga ocupada por bot, null para humanos
+        bots: sala.jogadores.map(jogador => (jogador && jogador.bot ? jogador.dificuldade : null))
+    });
+}
+
+// Gravar instantâneos pendentes até não sobrar nenhum; rejeita só se o último falhou
+async function gravarPendente() {
+    let falha = null;
+    while (pendente !== null) {
+        const conteudo = pendente;
+        pendente = null;
+        try {
+            await gravarArquivoAtomico(ARQUIVO_SALAS, conteudo);
+            falha = null;
+        } catch (err) {
+            falha = err;
+        }
+    }
+    // Sem await entre o laço e aqui: nenhum instantâneo fica esquecido
+    gravacao = null;
+    if (falha) throw falha;
+}
+
+// Serializar já, pois o instantâneo aponta para listas que a sala continua mudando.
+// Resolve quando este instantâneo (ou um mais novo) estiver em disco
+function salvarSalas(salas) {
+    pendente = JSON.stringify(salas.map(instantaneoSala));
+
+    if (!gravacao) gravacao = gravarPendente();
+    return gravacao;
+}
+
+// Salas salvas antes do último reinício
+async function carregarSalas() {
+    let conteudo;
+    try {
+        conteudo = await fs.promises.readFile(ARQUIVO_SALAS, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+
+    try {
+        return JSON.parse(conteudo);
+    } catch (err) {
+        log.erro('Arquivo de salas corrompido, ignorando');
+        return [];
+    }
+}
+
+module.exports = {
+    instantaneoSala,
+    salvarSalas,
+    carregarSalas
+};
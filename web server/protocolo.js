@@ -0,0 +1,250 @@
+// Protocolo de mensagens WebSocket: versões, esquemas e códigos de erro
+
+const VERSAO_PROTOCOLO = 1;
+const VERSOES_SUPORTADAS = [1];
+
+// Códigos de erro enviados em { tipo: 'erro', codigo, mensagem, tipoMensagem }
+const CODIGOS_ERRO = {
+    json_invalido: 'Mensagem nao e um JSON valido',
+    tipo_desconhecido: 'Tipo de mensagem nao existe no protocolo',
+    mensagem_invalida: 'Campo ausente, desconhecido ou com tipo errado',
+    versao_incompativel: 'Versao de protocolo nao suportada',
+    erro_servidor: 'Falha inesperada no servidor',
+    sala_nao_encontrada: 'Codigo de sala inexistente',
+    sala_cheia: 'Sala sem vagas',
+    ja_em_sala: 'Conexao ja esta em uma sala',
+    regras_invalidas: 'Regras da sala invalidas',
+    dificuldade_invalida: 'Dificuldade do bot inexistente',
+    sessao_invalida: 'Token de sessao expirado ou invalido',
+    estado_invalido: 'Acao nao permitida no estado atual da sala',
+    tabuleiro_invalido: 'Tabuleiro viola uma regra da frota',
+    fora_do_turno: 'Nao e a vez do jogador',
+    coordenada_invalida: 'Coordenada fora do tabuleiro',
+    disparo_repetido: 'Celula ja atacada',
+    alvo_invalido: 'Alvo ausente ou fora da disputa',
+    revanche_indisponivel: 'Nem todos os jogadores continuam na sala',
+    limite_chat: 'Mensagens de chat enviadas rapido demais',
+    jogador_nao_encontrado: 'Nome nao corresponde a ninguem na sala',
+    convidado_nao_permitido: 'Sala aceita apenas jogadores com conta',
+    apenas_anfitriao: 'Acao reservada ao anfitriao da sala',
+    expulso: 'Jogador foi expulso desta sala',
+    replay_nao_encontrado: 'Replay inexistente',
+    limite_taxa: 'Mensagens deste tipo enviadas rapido demais',
+    banido: 'Endereco bloqueado temporariamente por abuso',
+    origem_nao_permitida: 'Origem da pagina nao aceita pelo servidor',
+    conexoes_excedidas: 'Conexoes demais abertas a partir do mesmo endereco',
+    token_invalido: 'Token de acesso ausente, expirado ou invalido',
+    sala_indisponivel: 'Servidor dono da sala fora do ar',
+    servidor_encerrando: 'Servidor em desligamento, sem conexoes ou partidas novas'
+};
+
+// Descritores de campo: 'tipo[|tipo][:tamanhoMaximo][?]'
+// Tipos: texto, inteiro, numero, booleano, objeto, lista, nulo. '?' indica campo opcional.
+// Os campos `nome` são aceitos por compatibilidade e ignorados: o nome vem da conta.
+const ESQUEMAS_ENTRADA = {
+    ola: { versao: 'inteiro' },
+    criar_sala: {
+        nome: 'texto:30?', publica: 'booleano?', tempos: 'objeto?', regras: 'objeto?',
+        maxJogadores: 'inteiro?', melhorDe: 'inteiro?', permitirConvidados: 'booleano?'
+    },
+    listar_salas: { inscrever: 'booleano?' },
+    sair_lobby: {},
+    buscar_partida: { nome: 'texto:30?' },
+    cancelar_busca: {},
+    entrar_sala: { codigo: 'texto:12', nome: 'texto:30?' },
+    sair_sala: {},
+    fechar_sala: {},
+    expulsar: { jogador: 'texto:40' },
+    jogar_contra_bot: { nome: 'texto:30?', dificuldade: 'texto:20?', regras: 'objeto?', melhorDe: 'inteiro?' },
+    assistir_sala: { codigo: 'texto:12', nome: 'texto:30?' },
+    assistir_replay: { id: 'texto:64', intervalo: 'inteiro?', passo: 'inteiro?' },
+    parar_replay: {},
+    chat: { texto: 'texto:200' },
+    silenciar: { jogador: 'texto:40' },
+    dessilenciar: { jogador: 'texto:40' },
+    pedir_revanche: {},
+    aceitar_revanche: {},
+    configurar_tabuleiro: { tabuleiro: 'lista' },
+    atacar: { linha: 'inteiro', coluna: 'inteiro', alvo: 'texto:40?' },
+    reconectar: { codigo: 'texto:12', token: 'texto:64' }
+};
+
+const FROTA = 'objeto';
+const PASSO = 'inteiro?'; // presente nas mensagens geradas por replay
+const SERIE = 'objeto?'; // ausente nas mensagens geradas por replay
+
+const ESQUEMAS_SAIDA = {
+    boas_vindas: { versaoProtocolo: 'inteiro', versoesSuportadas: 'lista', nome: 'texto', convidado: 'booleano' },
+    protocolo_aceito: { versao: 'inteiro' },
+    erro: {
+        codigo: 'texto', mensagem: 'texto', tipoMensagem: 'texto|nulo',
+        regra: 'texto?', campo: 'texto?', linha: 'inteiro?', coluna: 'inteiro?',
+        aguardeMs: 'inteiro?', ate: 'inteiro?'
+    },
+    sala_criada: { codigo: 'texto', publica: 'booleano' },
+    lista_salas: { salas: 'lista' },
+    sala_atualizada: { sala: 'objeto' },
+    sala_removida: { codigo: 'texto' },
+    buscando_partida: { posicao: 'inteiro', rating: 'inteiro' },
+    partida_encontrada: { codigo: 'texto' },
+    rating_atualizado: { rating: 'inteiro', variacao: 'inteiro' },
+    busca_cancelada: {},
+    entrou_sala: { codigo: 'texto', indiceJogador: 'inteiro', nome: 'texto', token: 'texto' },
+    jogador_entrou: { nome: 'texto', totalJogadores: 'inteiro' },
+    jogador_saiu: { nome: 'texto' },
+    jogador_desconectado: { nome: 'texto', motivo: 'texto', prazoReconexao: 'inteiro' },
+    jogador_reconectado: { nome: 'texto' },
+    reconectado: {
+        codigo: 'texto', indiceJogador: 'inteiro', nome: 'texto', oponente: 'texto|nulo',
+        estado: 'texto', tabuleiro: 'lista|nulo', tabuleiroOponente: 'lista',
+        naviosAfundadosOponente: 'lista', frotaPropria: FROTA, frotaOponente: FROTA,
+        oponentes: 'lista', eliminado: 'booleano',
+        turnoAtual: 'texto|nulo', prazo: 'inteiro|nulo', regras: 'objeto', vencedor: 'texto|nulo',
+        classificacao: 'lista', serie: 'objeto'
+    },
+    iniciar_configuracao: { oponente: 'texto', oponentes: 'lista', prazo: 'inteiro', regras: 'objeto' },
+    tabuleiro_aceito: {},
+    tabuleiro_automatico: { tabuleiro: 'lista' },
+    tabuleiro_configurado: { jogador: 'texto', passo: PASSO },
+    jogo_iniciado: { turnoInicial: 'texto', serie: SERIE, passo: PASSO },
+    seu_turno: { prazo: 'inteiro|nulo', disparosRestantes: 'inteiro' },
+    turno: { jogador: 'texto', prazo: 'inteiro?', passo: PASSO },
+    tempo_esgotado: { jogador: 'texto', consecutivos: 'inteiro?', limite: 'inteiro?', passo: PASSO },
+    resultado_ataque: {
+        alvo: 'texto', linha: 'inteiro', coluna: 'inteiro', resultado: 'texto', afundado: 'objeto|nulo',
+        frotaPropria: FROTA, frotaOponente: FROTA
+    },
+    recebeu_ataque: {
+        atacante: 'texto', linha: 'inteiro', coluna: 'inteiro', resultado: 'texto', afundado: 'objeto|nulo',
+        frotaPropria: FROTA, frotaOponente: FROTA
+    },
+    ataque: {
+        atacante: 'texto', alvo: 'texto', linha: 'inteiro', coluna: 'inteiro', resultado: 'texto',
+        afundado: 'objeto|nulo', frotaAlvo: FROTA, passo: PASSO
+    },
+    jogador_eliminado: { jogador: 'texto', motivo: 'texto', posicao: 'inteiro', passo: PASSO },
+    fim_jogo: {
+        vencedor: 'texto|nulo', motivo: 'texto', classificacao: 'lista', serie: SERIE,
+        tabuleiros: 'lista?', passo: PASSO
+    },
+    chat: { remetente: 'texto', texto: 'texto', timestamp: 'inteiro', espectador: 'booleano' },
+    historico_chat: { mensagens: 'lista' },
+    silenciado: { jogador: 'texto' },
+    dessilenciado: { jogador: 'texto' },
+    revanche_pedida: { jogador: 'texto', pendentes: 'lista' },
+    revanche_iniciada: { serie: 'objeto', primeiroJogador: 'texto' },
+    assistindo: {
+        codigo: 'texto|nulo', estado: 'texto', jogadores: 'lista', turnoAtual: 'texto|nulo',
+        prazo: 'inteiro|nulo', regras: 'objeto', vencedor: 'texto|nulo', tabuleiros: 'lista',
+        replay: 'texto?', passo: 'inteiro?', totalPassos: 'inteiro?'
+    },
+    espectador_entrou: { nome: 'texto', totalEspectadores: 'inteiro' },
+    espectador_saiu: { nome: 'texto', totalEspectadores: 'inteiro' },
+    sala_encerrada: { codigo: 'texto', motivo: 'texto' },
+    aviso_manutencao: { mensagem: 'texto', desligamentoEm: 'inteiro|nulo' },
+    saiu_sala: { codigo: 'texto' },
+    expulso: { codigo: 'texto' },
+    anfitriao_alterado: { anfitriao: 'texto' },
+    replay_finalizado: { replay: 'texto' }
+};
+
+// Converte descritores em regras de validação
+function compilar(esquemas) {
+    const compilados = {};
+    Object.keys(esquemas).forEach(tipo => {
+        compilados[tipo] = {};
+        Object.keys(esquemas[tipo]).forEach(campo => {
+            let descritor = esquemas[tipo][campo];
+            const opcional = descritor.endsWith('?');
+            if (opcional) descritor = descritor.slice(0, -1);
+
+            const [tipos, maximo] = descritor.split(':');
+            compilados[tipo][campo] = {
+                tipos: tipos.split('|'),
+                maximo: maximo ? parseInt(maximo, 10) : null,
+                opcional: opcional
+            };
+        });
+    });
+    return compilados;
+}
+
+const ENTRADA = compilar(ESQUEMAS_ENTRADA);
+const SAIDA = compilar(ESQUEMAS_SAIDA);
+
+function tipoDoValor(valor) {
+    if (valor === null) return ['nulo'];
+    if (Array.isArray(valor)) return ['lista'];
+    if (typeof valor === 'string') return ['texto'];
+    if (typeof valor === 'boolean') return ['booleano'];
+    if (typeof valor === 'number') return Number.isInteger(valor) ? ['inteiro', 'numero'] : ['numero'];
+    if (typeof valor === 'object') return ['objeto'];
+    return [];
+}
+
+function falha(codigo, mensagem, campo = null) {
+    return campo ? { codigo, mensagem, campo } : { codigo, mensagem };
+}
+
+// Valida mensagem contra os esquemas. Retorna null ou { codigo, mensagem, campo }.
+function validar(mensagem, esquemas) {
+    if (!mensagem || typeof mensagem !== 'object' || Array.isArray(mensagem) ||
+        typeof mensagem.tipo !== 'string') {
+        return falha('mensagem_invalida', 'Mensagem deve ser um objeto com campo tipo', 'tipo');
+    }
+
+    const esquema = esquemas[mensagem.tipo];
+    if (!esquema) {
+        return falha('tipo_desconhecido', `Tipo de mensagem desconhecido: ${mensagem.tipo}`, 'tipo');
+    }
+
+    for (const campo of Object.keys(mensagem)) {
+        if (campo !== 'tipo' && !esquema[campo]) {
+            return falha('mensagem_invalida', `Campo desconhecido: ${campo}`, campo);
+        }
+    }
+
+    for (const campo of Object.keys(esquema)) {
+        const regra = esquema[campo];
+        const valor = mensagem[campo];
+
+        if (valor === undefined) {
+            if (regra.opcional) continue;
+            return falha('mensagem_invalida', `Campo obrigatorio ausente: ${campo}`, campo);
+        }
+
+        if (!tipoDoValor(valor).some(t => regra.tipos.includes(t))) {
+            return falha('mensagem_invalida', `Campo ${campo} deve ser ${regra.tipos.join(' ou ')}`, campo);
+        }
+
+        if (regra.maximo !== null && typeof valor === 'string' && valor.length > regra.maximo) {
+            return falha('mensagem_invalida', `Campo ${campo} excede ${regra.maximo} caracteres`, campo);
+        }
+    }
+
+    return null;
+}
+
+function validarEntrada(mensagem) {
+    return validar(mensagem, ENTRADA);
+}
+
+function validarSaida(mensagem) {
+    const problema = validar(mensagem, SAIDA);
+    if (problema) return problema;
+
+    if (mensagem.tipo === 'erro' && !CODIGOS_ERRO[mensagem.codigo]) {
+        return falha('mensagem_invalida', `Codigo de erro nao catalogado: ${mensagem.codigo}`, 'codigo');
+    }
+    return null;
+}
+
+module.exports = {
+    VERSAO_PROTOCOLO,
+    VERSOES_SUPORTADAS,
+    CODIGOS_ERRO,
+    ESQUEMAS_ENTRADA,
+    ESQUEMAS_SAIDA,
+    validarEntrada,
+    validarSaida
+};
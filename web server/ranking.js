@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const { gravarArquivoAtomico } = require('./arquivos');
+
+// Rating Elo das contas: nome em minúsculas -> { nome, rating, partidas, vitorias, derrotas, historico }
+const ARQUIVO_RANKING = process.env.ARQUIVO_RANKING || path.join(__dirname, 'dados', 'ranking.json');
+
+const RATING_INICIAL = 1500;
+const FATOR_K = 32;
+
+// Variações guardadas por jogador
+const HISTORICO_MAXIMO = 100;
+
+// Cópia em memória, para a fila de partidas consultar sem ler o disco
+let jogadores = {};
+
+// Atualizações serializadas, cada uma relendo o arquivo
+let operacoes = Promise.resolve();
+
+async function lerRanking() {
+    try {
+        return JSON.parse(await fs.promises.readFile(ARQUIVO_RANKING, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return {};
+        throw err;
+    }
+}
+
+function gravarRanking(dados) {
+    return gravarArquivoAtomico(ARQUIVO_RANKING, JSON.stringify(dados));
+}
+
+async function carregar() {
+    jogadores = await lerRanking();
+}
+
+function novoJogador(nome) {
+    return { nome: nome, rating: RATING_INICIAL, partidas: 0, vitorias: 0, derrotas: 0, historico: [] };
+}
+
+// Rating atual; quem nunca jogou partida ranqueada começa com o inicial
+function ratingDe(nome) {
+    const jogador = jogadores[nome.toLowerCase()];
+    return jogador ? jogador.rating : RATING_INICIAL;
+}
+
+// Probabilidade de A vencer B
+function esperado(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+}
+
+// Variação de cada conta numa partida, a partir da classificação (nomes
+// das contas, do primeiro ao último). Com mais de dois, cada par conta
+// como um duelo vencido por quem ficou à frente, com K dividido entre os pares.
+function calcularVariacoes(classificacao, ratings) {
+    const k = FATOR_K / (classificacao.length - 1);
+    const variacoes = classificacao.map(() => 0);
+
+    classificacao.forEach((nome, i) => {
+        for (let j = i + 1; j < classificacao.length; j++) {
+            const ganho = k * (1 - esperado(ratings[i], ratings[j]));
+            variacoes[i] += ganho;
+            variacoes[j] -= ganho;
+        }
+    });
+
+    return variacoes.map(Math.round);
+}
+
+// Aplicar o resultado de uma partida ranqueada; retorna { nome, rating, variacao } por conta
+function registrarResultado(idPartida, classificacao) {
+    const resultado = operacoes.then(async () => {
+        const dados = await lerRanking();
+        const registros = classificacao.map(nome =>
+            dados[nome.toLowerCase()] || novoJogador(nome));
+        const variacoes = calcularVariacoes(classificacao, registros.map(r => r.rating));
+        const agora = Date.now();
+
+        const atualizados = registros.map((registro, i) => {
+            registro.rating += variacoes[i];
+            registro.partidas++;
+            if (i === 0) registro.vitorias++;
+            else registro.derrotas++;
+
+            registro.historico.push({
+                partida: idPartida,
+                rating: registro.rating,
+                variacao: variacoes[i],
+                posicao: i + 1,
+                timestamp: agora
+            });
+            if (registro.historico.length > HISTORICO_MAXIMO) {
+                registro.historico.splice(0, registro.historico.length - HISTORICO_MAXIMO);
+            }
+
+            dados[registro.nome.toLowerCase()] = registro;
+            return { nome: registro.nome, rating: registro.rating, variacao: variacoes[i] };
+        });
+
+        await gravarRanking(dados);
+        jogadores = dados;
+        return atualizados;
+    });
+
+    operacoes = resultado.catch(() => {});
+    return resultado;
+}
+
+// Página do ranking, do maior rating para o menor
+async function listarRanking({ pagina = 1, porPagina = 20 } = {}) {
+    const ordenados = Object.values(await lerRanking())
+        .sort((a, b) => b.rating - a.rating || a.nome.localeCompare(b.nome));
+    const inicio = (pagina - 1) * porPagina;
+
+    return {
+        pagina: pagina,
+        porPagina: porPagina,
+        total: ordenados.length,
+        jogadores: ordenados.slice(inicio, inicio + porPagina).map((jogador, i) => ({
+            posicao: inicio + i + 1,
+            nome: jogador.nome,
+            rating: jogador.rating,
+            partidas: jogador.partidas,
+            vitorias: jogador.vitorias,
+            derrotas: jogador.derrotas
+        }))
+    };
+}
+
+// Rating e variações de um jogador, ou null se nunca jogou partida ranqueada
+async function ratingJogador(nome) {
+    return (await lerRanking())[nome.toLowerCase()] || null;
+}
+
+module.exports = {
+    RATING_INICIAL,
+    carregar,
+    ratingDe,
+    registrarResultado,
+    listarRanking,
+    ratingJogador
+};
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const {
+    REGRAS_PADRAO,
+    normalizarRegras,
+    validarTabuleiro,
+    registrarAcerto,
+    descreverNavio,
+    resumoFrota,
+    frotaDestruida
+} = require('./frota');
+
+const VERSAO_REPLAY = 1;
+
+const TIPOS_EVENTO = [
+    'tabuleiro_configurado',
+    'jogo_iniciado',
+    'turno',
+    'ataque',
+    'tempo_esgotado',
+    'jogador_eliminado',
+    'fim_jogo'
+];
+
+// Replays importados ficam apenas em memória; acima do limite, o mais
+// antigo é descartado
+const MAXIMO_REPLAYS_IMPORTADOS = 50;
+const replaysImportados = new Map();
+
+// Documento de replay a partir de uma partida do histórico
+function criarReplay(partida) {
+    return {
+        versao: VERSAO_REPLAY,
+        id: partida.id,
+        codigo: partida.codigo,
+        jogadores: partida.jogadores.map(j => j.nome),
+        regras: partida.regras || REGRAS_PADRAO,
+        eventos: partida.eventos || []
+    };
+}
+
+// Verifica a estrutura de um replay importado. Retorna a mensagem de erro ou null.
+function validarReplay(documento) {
+    if (!documento || typeof documento !== 'object') return 'Replay deve ser um objeto JSON';
+    if (documento.versao !== VERSAO_REPLAY) return `Versao de replay nao suportada: ${documento.versao}`;
+
+    if (!Array.isArray(documento.jogadores) || documento.jogadores.length < 2 ||
+        !documento.jogadores.every(nome => typeof nome === 'string')) {
+        return 'Lista de jogadores invalida';
+    }
+
+    if (!Array.isArray(documento.eventos)) return 'Lista de eventos invalida';
+
+    // As regras vêm do documento e passam pelos mesmos limites de uma sala nova
+    const regras = normalizarRegras(documento.regras);
+    if (!regras.valido) return `Regras invalidas: ${regras.mensagem}`;
+
+    const totalJogadores = documento.jogadores.length;
+    const indiceValido = valor => Number.isInteger(valor) && valor >= 0 && valor < totalJogadores;
+
+    for (let i = 0; i < documento.eventos.length; i++) {
+        const evento = documento.eventos[i];
+        if (!evento || !TIPOS_EVENTO.includes(evento.tipo)) return `Evento ${i} com tipo invalido`;
+
+        if (['tabuleiro_configurado', 'turno', 'ataque', 'tempo_esgotado', 'jogador_eliminado'].includes(evento.tipo) &&
+            !indiceValido(evento.jogador)) {
+            return `Evento ${i} com jogador invalido`;
+        }
+        if (evento.tipo === 'ataque' &&
+            (!indiceValido(evento.alvo) || !Number.isInteger(evento.linha) || !Number.isInteger(evento.coluna))) {
+            return `Evento ${i} com ataque invalido`;
+        }
+        if (evento.tipo === 'jogo_iniciado' && !indiceValido(evento.turnoInicial)) {
+            return `Evento ${i} com turno inicial invalido`;
+        }
+    }
+
+    // Reconstruir até o fim garante que os tabuleiros são válidos; o resultado
+    // declarado tem de ser o que a reconstrução dá
+    const estado = estadoInicial(Object.assign({}, documento, { regras: regras.regras }));
+    const conferencia = { turnoInicial: null, motivoEliminacao: null };
+    try {
+        for (let i = 0; i < documento.eventos.length; i++) {
+            if (estado.estado === 'finalizado') return `Evento ${i} depois do fim do jogo`;
+
+            const divergencia = conferirEvento(estado, documento.eventos[i], conferencia);
+            if (divergencia) return `Evento ${i} diverge da partida: ${divergencia}`;
+            aplicarEvento(estado, documento.eventos[i], regras.regras);
+        }
+    } catch (err) {
+        return err.message;
+    }
+
+    return null;
+}
+
+// Comparar o evento com o estado reconstruído até ele. `conferencia` guarda
+// o turno inicial anunciado e o motivo da última eliminação.
+// Retorna a divergência ou null.
+function conferirEvento(estado, evento, conferencia) {
+    switch (evento.tipo) {
+        case 'jogo_iniciado':
+            conferencia.turnoInicial = evento.turnoInicial;
+            return null;
+
+        case 'turno': {
+            // O primeiro turno é de quem o início do jogo anunciou
+            const esperado = conferencia.turnoInicial;
+            conferencia.turnoInicial = null;
+            if (esperado !== null && evento.jogador !== esperado) return 'primeiro turno nao e o turno inicial';
+            return null;
+        }
+
+        case 'jogador_eliminado':
+            if (estado.eliminados.includes(evento.jogador)) return 'jogador ja eliminado';
+            if (evento.motivo === 'frota_destruida' && !frotaDestruida(estado.navios[evento.jogador] || [])) {
+                return 'eliminado com navios a flutuar';
+            }
+            conferencia.motivoEliminacao = evento.motivo;
+            return null;
+
+        case 'fim_jogo': {
+            const restantes = estado.nomes.map((nome, i) => i).filter(i => !estado.eliminados.includes(i));
+            // Interrompida pelo administrador: sem vencedor, com quem ainda disputava
+            if (evento.motivo === 'administrador') {
+                if (evento.vencedor !== null) return 'vencedor nao confere';
+            } else {
+                if (restantes.length !== 1) return 'fim de jogo com mais de um jogador na disputa';
+                if (evento.vencedor !== estado.nomes[restantes[0]]) return 'vencedor nao confere';
+                if (evento.motivo !== conferencia.motivoEliminacao) return 'motivo nao confere';
+            }
+
+            const classificacao = restantes.concat(estado.eliminados.slice().reverse()).map(i => estado.nomes[i]);
+            if (evento.classificacao !== undefined &&
+                JSON.stringify(evento.classificacao) !== JSON.stringify(classificacao)) {
+                return 'classificacao nao confere';
+            }
+            return null;
+        }
+    }
+
+    return null;
+}
+
+// Guardar um replay já aprovado por validarReplay
+function importarReplay(documento) {
+    const id = crypto.randomBytes(8).toString('hex');
+    replaysImportados.set(id, Object.assign({}, documento, {
+        id: id,
+        regras: normalizarRegras(documento.regras).regras
+    }));
+
+    if (replaysImportados.size > MAXIMO_REPLAYS_IMPORTADOS) {
+        replaysImportados.delete(replaysImportados.keys().next().value);
+    }
+    return id;
+}
+
+function buscarReplayImportado(id) {
+    return replaysImportados.get(id) || null;
+}
+
+// Estado vazio com os mesmos campos de uma sala, para reaproveitar
+// a visão de espectador
+function estadoInicial(documento) {
+    return {
+        codigo: documento.codigo || null,
+        estado: 'configurando',
+        nomes: documento.jogadores.slice(),
+        regras: documento.regras || REGRAS_PADRAO,
+        tabuleiros: [],
+        navios: [],
+        disparos: [],
+        eliminados: [],
+        turnoAtual: 0,
+        prazo: null,
+        vencedor: null,
+        motivo: null,
+        classificacao: [],
+        passo: 0,
+        totalPassos: documento.eventos.length
+    };
+}
+
+// Aplica um evento ao estado e retorna a mensagem equivalente
+// à que os espectadores receberam ao vivo
+function aplicarEvento(estado, evento, regras) {
+    estado.passo++;
+
+    switch (evento.tipo) {
+        case 'tabuleiro_configurado': {
+            const validacao = validarTabuleiro(evento.tabuleiro, regras);
+            if (!validacao.valido) {
+                throw new Error(`Tabuleiro invalido no replay: ${validacao.regra}`);
+            }
+            estado.tabuleiros[evento.jogador] = validacao.tabuleiro;
+            estado.navios[evento.jogador] = validacao.navios;
+            return { tipo: 'tabuleiro_configurado', jogador: estado.nomes[evento.jogador] };
+        }
+
+        case 'jogo_iniciado':
+            estado.estado = 'jogando';
+            return { tipo: 'jogo_iniciado', turnoInicial: estado.nomes[evento.turnoInicial || 0] };
+
+        case 'turno':
+            estado.turnoAtual = evento.jogador;
+            return { tipo: 'turno', jogador: estado.nomes[evento.jogador] };
+
+        case 'ataque': {
+            const tabuleiro = estado.tabuleiros[evento.alvo];
+            if (!tabuleiro || !tabuleiro[evento.linha] || tabuleiro[evento.linha][evento.coluna] === undefined) {
+                throw new Error('Ataque fora do tabuleiro no replay');
+            }
+
+            let resultado = 'agua';
+            let afundado = null;
+            if (tabuleiro[evento.linha][evento.coluna] === 'N') {
+                resultado = 'acerto';
+                tabuleiro[evento.linha][evento.coluna] = 'X';
+                const navio = registrarAcerto(estado.navios[evento.alvo], evento.linha, evento.coluna);
+                if (navio) afundado = descreverNavio(navio);
+            } else {
+                tabuleiro[evento.linha][evento.coluna] = 'O';
+            }
+
+            estado.disparos.push({
+                jogador: evento.jogador,
+                alvo: evento.alvo,
+                linha: evento.linha,
+                coluna: evento.coluna,
+                resultado: resultado,
+                timestamp: evento.timestamp
+            });
+
+            return {
+                tipo: 'ataque',
+                atacante: estado.nomes[evento.jogador],
+                alvo: estado.nomes[evento.alvo],
+                linha: evento.linha,
+                coluna: evento.coluna,
+                resultado: resultado,
+                afundado: afundado,
+                frotaAlvo: resumoFrota(estado.navios[evento.alvo])
+            };
+        }
+
+        case 'tempo_esgotado':
+            return { tipo: 'tempo_esgotado', jogador: estado.nomes[evento.jogador] };
+
+        case 'jogador_eliminado':
+            estado.eliminados.push(evento.jogador);
+            return {
+                tipo: 'jogador_eliminado',
+                jogador: estado.nomes[evento.jogador],
+                motivo: evento.motivo,
+                posicao: estado.nomes.length - estado.eliminados.length + 1
+            };
+
+        case 'fim_jogo':
+            estado.estado = 'finalizado';
+            estado.vencedor = evento.vencedor;
+            estado.motivo = evento.motivo;
+            // Replays de duelos antigos não guardam a classificação
+            estado.classificacao = evento.classificacao ||
+                [evento.vencedor].concat(estado.nomes.filter(nome => nome !== evento.vencedor));
+            return {
+                tipo: 'fim_jogo',
+                vencedor: evento.vencedor,
+                motivo: evento.motivo,
+                classificacao: estado.classificacao,
+                tabuleiros: estado.nomes.map((nome, i) => ({
+                    jogador: nome,
+                    tabuleiro: estado.tabuleiros[i] || null
+                }))
+            };
+    }
+
+    return null;
+}
+
+// Reconstrói o estado do jogo depois dos primeiros `passo` eventos
+function reconstruirEstado(documento, passo = documento.eventos.length) {
+    const regras = documento.regras || REGRAS_PADRAO;
+    const estado = estadoInicial(documento);
+    const limite = Math.min(Math.max(passo, 0), documento.eventos.length);
+
+    for (let i = 0; i < limite; i++) {
+        aplicarEvento(estado, documento.eventos[i], regras);
+    }
+
+    return estado;
+}
+
+// Mensagens de espectador de cada evento a partir de um passo
+function mensagensReplay(documento, passoInicial = 0) {
+    const regras = documento.regras || REGRAS_PADRAO;
+    const estado = reconstruirEstado(documento, passoInicial);
+    const mensagens = [];
+
+    for (let i = estado.passo; i < documento.eventos.length; i++) {
+        const mensagem = aplicarEvento(estado, documento.eventos[i], regras);
+        if (mensagem) mensagens.push(Object.assign({ passo: estado.passo }, mensagem));
+    }
+
+    return mensagens;
+}
+
+module.exports = {
+    VERSAO_REPLAY,
+    criarReplay,
+    validarReplay,
+    importarReplay,
+    buscarReplayImportado,
+    reconstruirEstado,
+    mensagensReplay
+};
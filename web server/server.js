@@ -1,13 +1,325 @@
 const WebSocket = require('ws');
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const { normalizarRegras, gerarTabuleiroAleatorio } = require('./frota');
+const jogo = require('./jogo');
+const { DIFICULDADES, criarJogadorVirtual } = require('./bot');
+const historico = require('./historico');
+const replay = require('./replay');
+const chat = require('./chat');
+const contas = require('./contas');
+const ranking = require('./ranking');
+const persistencia = require('./persistencia');
+const limites = require('./limites');
+const metricas = require('./metricas');
+const log = require('./log');
+const { criarAdaptador } = require('./adaptador');
+const {
+    CODIGOS_ERRO,
+    VERSAO_PROTOCOLO,
+    VERSOES_SUPORTADAS,
+    validarEntrada,
+    validarSaida
+} = require('./protocolo');
 
-const PORT = 3000;
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+
+// Tempo que a vaga de um jogador desconectado fica reservada
+const PRAZO_RECONEXAO_MS = 30000;
+
+// Prazo para reconectar às salas restauradas depois de um reinício
+const PRAZO_RESTAURACAO_MS = 120000;
+
+// Heartbeat: a cada intervalo o servidor envia ping; quem deixa passar
+// LIMITE_PINGS_PERDIDOS sem pong é derrubado e a vaga entra no prazo de reconexão
+const INTERVALO_HEARTBEAT_MS = parseInt(process.env.INTERVALO_HEARTBEAT_MS, 10) || 30000;
+const LIMITE_PINGS_PERDIDOS = parseInt(process.env.LIMITE_PINGS_PERDIDOS, 10) || 2;
+
+// Dados ainda não enviados que uma conexão pode acumular antes de ser derrubada
+const LIMITE_BUFFER_BYTES = parseInt(process.env.LIMITE_BUFFER_BYTES, 10) || 1024 * 1024;
+
+// Tempo que o desligamento espera as partidas em andamento terminarem
+const PRAZO_DESLIGAMENTO_MS = parseInt(process.env.PRAZO_DESLIGAMENTO_MS, 10) || 30 * 1000;
+
+// Salas sem mensagens de jogadores por este tempo são encerradas pela
+// varredura; depois do fim do jogo o prazo é menor
+const PRAZO_SALA_OCIOSA_MS = parseInt(process.env.PRAZO_SALA_OCIOSA_MS, 10) || 15 * 60 * 1000;
+const PRAZO_POS_JOGO_MS = parseInt(process.env.PRAZO_POS_JOGO_MS, 10) || 5 * 60 * 1000;
+const INTERVALO_VARREDURA_MS = parseInt(process.env.INTERVALO_VARREDURA_MS, 10) || 30 * 1000;
+
+// Diferença de rating aceita na busca de partida: começa estreita e
+// alarga a cada AMPLIACAO_FILA_MS de espera, até o máximo
+const TOLERANCIA_INICIAL = 100;
+const TOLERANCIA_POR_PASSO = 50;
+const TOLERANCIA_MAXIMA = 1000;
+const AMPLIACAO_FILA_MS = 5000;
+
+// Códigos sorteados para uma sala nova até um que nenhum nó tenha registrado
+const TENTATIVAS_CODIGO_SALA = 5;
+
+// Prazos padrão de cada sala (em segundos) e o que fazer quando esgotam
+const TEMPOS_PADRAO = {
+    turno: 60,
+    configuracao: 180,
+    aoEsgotar: 'pular', // pular, disparo_aleatorio
+    limiteEsgotados: 3 // tempos esgotados seguidos até perder por W.O.
+};
+
+// Responder requisição da API com JSON
+function responderJson(res, status, dados) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(dados));
+}
+
+// Ler corpo JSON de uma requisição, com limite de tamanho
+function lerCorpoJson(req, limiteBytes = 1024 * 1024) {
+    return new Promise((resolve, reject) => {
+        let corpo = '';
+        req.on('data', parte => {
+            corpo += parte;
+            if (corpo.length > limiteBytes) {
+                reject(Object.assign(new Error('Corpo muito grande'), { status: 413 }));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(corpo));
+            } catch (err) {
+                reject(Object.assign(new Error('JSON invalido'), { status: 400 }));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Documento de replay de uma partida do histórico ou importado
+async function buscarReplay(origem, id) {
+    if (origem === 'replays') return replay.buscarReplayImportado(id);
+    
+    const partida = await historico.buscarPartida(id);
+    return partida ? replay.criarReplay(partida) : null;
+}
+
+// Segmentos do caminho já decodificados, ou null se a codificação for inválida
+function partesDoCaminho(url) {
+    try {
+        return url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (err) {
+        return null;
+    }
+}
+
+// Rotas da API HTTP
+function tratarApi(req, res, url) {
+    const partes = partesDoCaminho(url);
+    if (!partes) {
+        responderJson(res, 400, { erro: 'Caminho invalido' });
+        return;
+    }
+    const rota = `${req.method} /${partes.slice(1).join('/')}`;
+    
+    let consulta;
+    if (req.method === 'GET' && partes[1] === 'partidas' && partes.length === 2) {
+        const limite = parseInt(url.searchParams.get('limite'), 10);
+        consulta = historico.listarPartidas({
+            jogador: url.searchParams.get('jogador'),
+            limite: limite > 0 ? Math.min(limite, 100) : 20
+        }).then(partidas => ({ partidas }));
+    } else if (req.method === 'GET' && partes[1] === 'partidas' && partes.length === 3) {
+        consulta = historico.buscarPartida(partes[2]);
+    } else if (req.method === 'GET' && partes[1] === 'jogadores' && partes.length === 3) {
+        consulta = historico.estatisticasJogador(partes[2]);
+    } else if (req.method === 'GET' && partes[1] === 'jogadores' && partes[3] === 'rating' && partes.length === 4) {
+        consulta = ranking.ratingJogador(partes[2]);
+    } else if (rota === 'GET /ranking') {
+        const pagina = parseInt(url.searchParams.get('pagina'), 10);
+        const porPagina = parseInt(url.searchParams.get('porPagina'), 10);
+        consulta = ranking.listarRanking({
+            pagina: pagina > 0 ? pagina : 1,
+            porPagina: porPagina > 0 ? Math.min(porPagina, 100) : 20
+        });
+    } else if (req.method === 'GET' && partes[1] === 'partidas' && partes[3] === 'replay' && partes.length === 4) {
+        consulta = buscarReplay('partidas', partes[2]);
+    } else if (req.method === 'GET' && partes[1] === 'replays' && partes.length === 3) {
+        consulta = buscarReplay('replays', partes[2]);
+    } else if (req.method === 'GET' && partes[partes.length - 1] === 'estado' &&
+               ((partes[1] === 'partidas' && partes[3] === 'replay' && partes.length === 5) ||
+                (partes[1] === 'replays' && partes.length === 4))) {
+        // Estado do jogo em um passo do replay
+        const passo = parseInt(url.searchParams.get('passo'), 10);
+        consulta = buscarReplay(partes[1], partes[2]).then(documento => documento &&
+            replay.reconstruirEstado(documento, Number.isNaN(passo) ? documento.eventos.length : passo));
+    } else if (rota === 'POST /contas') {
+        if (!respeitaTaxaHttp(req, res, 'criar_conta')) return;
+        consulta = lerCorpoJson(req).then(corpo => contas.registrar(corpo && corpo.nome, corpo && corpo.senha));
+    } else if (rota === 'POST /sessoes') {
+        if (!respeitaTaxaHttp(req, res, 'criar_sessao')) return;
+        consulta = lerCorpoJson(req).then(corpo => contas.entrar(corpo && corpo.nome, corpo && corpo.senha));
+    } else if (rota === 'POST /convidados') {
+        consulta = contas.entrarComoConvidado();
+    } else if (rota === 'POST /replays') {
+        consulta = lerCorpoJson(req).then(documento => {
+            const erro = replay.validarReplay(documento);
+            if (erro) throw Object.assign(new Error(erro), { status: 400 });
+            return { id: replay.importarReplay(documento) };
+        });
+    } else {
+        responderJson(res, 404, { erro: 'Nao encontrado' });
+        return;
+    }
+    
+    responderConsulta(res, consulta);
+}
+
+// Rotas que verificam senha: endereço banido é recusado e cada endereço
+// gasta fichas do seu balde, contando infrações como no WebSocket
+function respeitaTaxaHttp(req, res, tipo) {
+    const endereco = enderecoDaRequisicao(req);
+    if (limites.banidoAte(endereco)) {
+        responderJson(res, 403, { erro: CODIGOS_ERRO.banido });
+        return false;
+    }
+    
+    const aguardeMs = limites.consumirPorEndereco(endereco, tipo);
+    if (!aguardeMs) return true;
+    
+    const ate = limites.registrarInfracao(endereco);
+    if (ate) banirEndereco(endereco, ate);
+    res.setHeader('Retry-After', Math.ceil(aguardeMs / 1000));
+    responderJson(res, 429, { erro: `Limite de tentativas atingido, tente de novo em ${aguardeMs} ms` });
+    return false;
+}
+
+// Responder com o resultado da consulta: null vira 404, erros com status
+// viram a resposta correspondente e os demais, 500
+function responderConsulta(res, consulta) {
+    consulta
+        .then(dados => {
+            if (dados) {
+                responderJson(res, 200, dados);
+            } else {
+                responderJson(res, 404, { erro: 'Nao encontrado' });
+            }
+        })
+        .catch(err => {
+            if (err.status) {
+                responderJson(res, err.status, { erro: err.message });
+                return;
+            }
+            log.erro('Erro na API', { erro: err });
+            responderJson(res, 500, { erro: 'Erro no servidor' });
+        });
+}
+
+// Comparar o token de administração pelo hash, em tempo constante
+function autorizadoAdmin(req) {
+    const esperado = process.env.TOKEN_ADMIN;
+    const cabecalho = req.headers.authorization || '';
+    if (!esperado || !cabecalho.startsWith('Bearer ')) return false;
+    
+    const resumo = texto => crypto.createHash('sha256').update(texto).digest();
+    return crypto.timingSafeEqual(resumo(cabecalho.slice(7)), resumo(esperado));
+}
+
+// API de administração, com Authorization: Bearer <TOKEN_ADMIN>; sem
+// TOKEN_ADMIN definido ela fica fechada. Vê só as salas deste nó.
+function tratarAdmin(req, res, url) {
+    if (!autorizadoAdmin(req)) {
+        responderJson(res, 401, { erro: 'Nao autorizado' });
+        return;
+    }
+    
+    const caminho = partesDoCaminho(url);
+    if (!caminho) {
+        responderJson(res, 400, { erro: 'Caminho invalido' });
+        return;
+    }
+    const partes = caminho.slice(2);
+    const rota = `${req.method} /${partes.join('/')}`;
+    const sala = partes[0] === 'salas' && partes[1] ? encontrarSala(partes[1]) : null;
+    
+    let consulta;
+    if (rota === 'GET /salas') {
+        consulta = Promise.resolve({ salas: Array.from(salas.values()).map(resumoAdmin) });
+    } else if (req.method === 'GET' && partes[0] === 'salas' && partes.length === 2) {
+        consulta = Promise.resolve(sala ? detalharSala(sala) : null);
+    } else if (req.method === 'POST' && partes[0] === 'salas' && partes[2] === 'encerrar' && partes.length === 3) {
+        consulta = Promise.resolve(sala).then(encontrada => {
+            if (!encontrada) return null;
+            // Partida em andamento termina pelo motor: fim_jogo e histórico, depois a sala fecha
+            if (encontrada.estado === 'jogando') {
+                jogo.interromper(encontrada, 'administrador');
+                anunciarFim(encontrada);
+            }
+            encerrarSala(encontrada, 'administrador');
+            return { codigo: encontrada.codigo, motivo: 'administrador' };
+        });
+    } else if (req.method === 'POST' && partes[0] === 'salas' && partes[2] === 'depuracao' && partes.length === 3) {
+        // Liga ou desliga o log de debug só desta sala
+        consulta = lerCorpoJson(req).then(corpo => {
+            if (!sala) return null;
+            if (!corpo || typeof corpo.ativa !== 'boolean') {
+                throw Object.assign(new Error('Campo ativa obrigatorio'), { status: 400 });
+            }
+            log.definirDepuracaoSala(sala.codigo, corpo.ativa);
+            return { codigo: sala.codigo, depuracao: corpo.ativa };
+        });
+    } else if (rota === 'POST /aviso') {
+        consulta = lerCorpoJson(req).then(corpo => {
+            if (!corpo || typeof corpo.mensagem !== 'string' || !corpo.mensagem.trim()) {
+                throw Object.assign(new Error('Campo mensagem obrigatorio'), { status: 400 });
+            }
+            const desligamentoEm = Number.isInteger(corpo.desligamentoEm) ? corpo.desligamentoEm : null;
+            return { destinatarios: avisarManutencao(corpo.mensagem.slice(0, 500), desligamentoEm) };
+        });
+    } else {
+        responderJson(res, 404, { erro: 'Nao encontrado' });
+        return;
+    }
+    
+    responderConsulta(res, consulta);
+}
+
+// Métricas lidas na hora do pedido
+function textoMetricas() {
+    const salasPorEstado = { aguardando: 0, configurando: 0, jogando: 0, finalizado: 0 };
+    salas.forEach(sala => { salasPorEstado[sala.estado]++; });
+    
+    return metricas.exportar({
+        conexoes: wss.clients.size,
+        filaPartidas: filaPartidas.length,
+        salasPorEstado: salasPorEstado
+    });
+}
 
 // Criar servidor HTTP
 const server = http.createServer((req, res) => {
-    if (req.url === '/' || req.url === '/index.html') {
+    // Base fixa: o cabeçalho Host vem do cliente e pode nem ser uma URL válida.
+    // Um caminho como //[x ainda falha, pois vira URL com outro host.
+    let url;
+    try {
+        url = new URL(req.url, 'http://localhost');
+    } catch (err) {
+        responderJson(res, 400, { erro: 'Caminho invalido' });
+        return;
+    }
+    
+    if (url.pathname === '/healthz') {
+        responderJson(res, 200, { status: 'ok' });
+    } else if (url.pathname === '/readyz') {
+        // No desligamento o balanceador deixa de mandar conexões novas
+        responderJson(res, encerrando ? 503 : 200, { status: encerrando ? 'encerrando' : 'pronto' });
+    } else if (url.pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(textoMetricas());
+    } else if (url.pathname.startsWith('/api/admin/')) {
+        tratarAdmin(req, res, url);
+    } else if (url.pathname.startsWith('/api/')) {
+        tratarApi(req, res, url);
+    } else if (req.url === '/' || req.url === '/index.html') {
         fs.readFile(path.join(__dirname, 'web', 'index.html'), (err, data) => {
             if (err) {
                 res.writeHead(500);
@@ -23,281 +335,1999 @@ const server = http.createServer((req, res) => {
     }
 });
 
-// Criar servidor WebSocket
-const wss = new WebSocket.Server({ server });
+// Token da conexão: ?token= na URL (navegadores não enviam cabeçalhos
+// no WebSocket) ou Authorization: Bearer
+function tokenDaRequisicao(req) {
+    let doCaminho = null;
+    try {
+        doCaminho = new URL(req.url, 'http://localhost').searchParams.get('token');
+    } catch (err) {
+        // Caminho inválido: só o cabeçalho vale
+    }
+    const cabecalho = req.headers.authorization || '';
+    return doCaminho || (cabecalho.startsWith('Bearer ') ? cabecalho.slice(7) : null);
+}
+
+// Endereço do cliente; atrás de um proxy (CONFIAR_PROXY=1), o primeiro de X-Forwarded-For
+function enderecoDaRequisicao(req) {
+    const encaminhado = req.headers['x-forwarded-for'];
+    if (process.env.CONFIAR_PROXY && encaminhado) return encaminhado.split(',')[0].trim();
+    return req.socket.remoteAddress;
+}
+
+// Recusar o upgrade com o código de erro no cabeçalho X-Codigo-Erro
+function recusarUpgrade(aceitar, status, codigo) {
+    aceitar(false, status, CODIGOS_ERRO[codigo], { 'X-Codigo-Erro': codigo });
+}
+
+// Recusar o upgrade de endereços banidos ou no limite de conexões,
+// de origens fora da lista e sem um token válido
+function autenticarConexao(info, aceitar) {
+    if (encerrando) {
+        recusarUpgrade(aceitar, 503, 'servidor_encerrando');
+        return;
+    }
+    
+    const endereco = enderecoDaRequisicao(info.req);
+    if (limites.banidoAte(endereco)) {
+        recusarUpgrade(aceitar, 403, 'banido');
+        return;
+    }
+    if (!limites.origemPermitida(info.origin)) {
+        recusarUpgrade(aceitar, 403, 'origem_nao_permitida');
+        return;
+    }
+    if (!limites.podeConectar(endereco)) {
+        limites.registrarInfracao(endereco);
+        recusarUpgrade(aceitar, 429, 'conexoes_excedidas');
+        return;
+    }
+    
+    const conta = contas.verificarToken(tokenDaRequisicao(info.req));
+    if (!conta) {
+        recusarUpgrade(aceitar, 401, 'token_invalido');
+        return;
+    }
+    info.req.conta = conta;
+    info.req.endereco = endereco;
+    aceitar(true);
+}
+
+// Criar servidor WebSocket; mensagens acima do limite fecham o socket com 1009
+const wss = new WebSocket.Server({
+    server,
+    verifyClient: autenticarConexao,
+    maxPayload: limites.TAMANHO_MAXIMO_MENSAGEM
+});
 
 // Estrutura de salas: { codigoSala: { jogadores: [], tabuleiros: [], turnos: [], estado: 'aguardando' } }
 const salas = new Map();
 
+// Conexões inscritas para receber atualizações do lobby
+const inscritosLobby = new Set();
+
+// Fila de busca de partida: { conexao, nome, rating, desde }
+const filaPartidas = [];
+
+// Registro de salas e mensagens entre nós (processos) do servidor
+let adaptador = null;
+
+// Sockets deste nó, por id, para entregar o que chega de outros nós
+const conexoesLocais = new Map();
+
+// Conexões de outros nós em salas deste: `${no}:${id}` -> conexão remota
+const conexoesRemotas = new Map();
+
+// Mensagens que indicam a sala pelo código e podem levar a conexão a outro nó
+const MENSAGENS_COM_SALA = ['entrar_sala', 'assistir_sala', 'reconectar'];
+
+// Mensagens que não mudam o que é salvo das salas (lobby, fila, replays,
+// espectadores, silenciados) e por isso não gravam checkpoint
+const MENSAGENS_SEM_CHECKPOINT = [
+    'ola', 'listar_salas', 'sair_lobby', 'buscar_partida', 'cancelar_busca',
+    'assistir_sala', 'assistir_replay', 'parar_replay', 'silenciar', 'dessilenciar'
+];
+
+// Mensagens que começam partidas, recusadas durante o desligamento
+const MENSAGENS_PARTIDA_NOVA = ['criar_sala', 'buscar_partida', 'jogar_contra_bot', 'pedir_revanche', 'aceitar_revanche'];
+
+// Desligamento em curso; depois da gravação final, as salas não são mais salvas
+let encerrando = false;
+let encerrado = false;
+
 // Gerar código de sala aleatório
 function gerarCodigoSala() {
     return Math.random().toString(36).substring(2, 8).toUpperCase();
 }
 
+// Log com o contexto da conexão: sala, id e jogador
+function logConexao(conexao) {
+    return log.com({
+        sala: conexao.salaAtual || conexao.salaAssistida || null,
+        conexao: conexao.idConexao || null,
+        jogador: conexao.nome || null
+    });
+}
+
+function logSala(sala) {
+    return log.com({ sala: sala.codigo });
+}
+
 // Encontrar sala por código
 function encontrarSala(codigo) {
     return salas.get(codigo);
 }
 
-// Criar nova sala
-function criarSala() {
-    let codigo;
-    do {
-        codigo = gerarCodigoSala();
-    } while (salas.has(codigo));
+// Ler prazos enviados pelo cliente, limitados a valores razoáveis
+function normalizarTempos(tempos = {}) {
+    const limitar = (valor, minimo, maximo, padrao) =>
+        (Number.isInteger(valor) ? Math.min(Math.max(valor, minimo), maximo) : padrao);
+    
+    return {
+        turno: limitar(tempos.turno, 5, 600, TEMPOS_PADRAO.turno),
+        configuracao: limitar(tempos.configuracao, 15, 1800, TEMPOS_PADRAO.configuracao),
+        aoEsgotar: ['pular', 'disparo_aleatorio'].includes(tempos.aoEsgotar)
+            ? tempos.aoEsgotar
+            : TEMPOS_PADRAO.aoEsgotar,
+        limiteEsgotados: limitar(tempos.limiteEsgotados, 1, 10, TEMPOS_PADRAO.limiteEsgotados)
+    };
+}
+
+// Criar nova sala; opções: { publica, anfitriao, tempos, regras, maxJogadores, melhorDe, permitirConvidados }.
+// Resolve o código só depois que este nó é o dono registrado; código já
+// registrado por outro nó é sorteado de novo.
+async function criarSala(opcoes = {}) {
+    let codigo = null;
+    for (let tentativa = 0; tentativa < TENTATIVAS_CODIGO_SALA && !codigo; tentativa++) {
+        let candidato;
+        do {
+            candidato = gerarCodigoSala();
+        } while (salas.has(candidato));
+        
+        if (await adaptador.registrarSala(candidato)) {
+            codigo = candidato;
+        } else {
+            log.aviso('Codigo de sala ja registrado por outro no', { sala: candidato });
+        }
+    }
+    if (!codigo) throw new Error('Nenhum codigo de sala livre');
     
-    salas.set(codigo, {
+    // Estado do jogo vem do módulo de regras; aqui ficam conexões e prazos
+    salas.set(codigo, Object.assign(jogo.criarPartida(opcoes.regras, opcoes.maxJogadores, opcoes.melhorDe), {
         codigo: codigo,
+        no: adaptador.idNo,
         jogadores: [],
-        tabuleiros: [],
-        nomes: [],
-        turnoAtual: 0,
-        estado: 'aguardando', // aguardando, configurando, jogando, finalizado
-        vencedor: null
-    });
+        sessoes: [],
+        contas: [], // conta de cada vaga; null para bots e convidados
+        reconexoes: new Map(), // token -> temporizador de expiração da vaga
+        espectadores: [],
+        publica: !!opcoes.publica,
+        permitirConvidados: opcoes.permitirConvidados !== false,
+        anfitriao: opcoes.anfitriao || null,
+        tempos: normalizarTempos(opcoes.tempos),
+        temporizador: null, // prazo de configuração ou do turno atual
+        prazo: null,
+        chat: [], // mensagens recentes: { remetente, texto, timestamp, espectador }
+        expulsos: [], // nomes que o anfitrião retirou e não podem voltar
+        ultimaAtividade: Date.now() // última mensagem de um jogador, para a varredura
+    }));
     
+    notificarLobby(salas.get(codigo));
     return codigo;
 }
 
-// Broadcast para todos jogadores da sala
-function broadcastSala(sala, mensagem, exceto = null) {
-    sala.jogadores.forEach(jogador => {
-        if (jogador !== exceto && jogador.readyState === WebSocket.OPEN) {
-            jogador.send(JSON.stringify(mensagem));
+// Resumo de uma sala para a administração
+function resumoAdmin(sala) {
+    return Object.assign(resumoSala(sala), {
+        publica: sala.publica,
+        jogadores: sala.nomes,
+        ultimaAtividade: sala.ultimaAtividade,
+        depuracao: log.depuracaoAtiva(sala.codigo)
+    });
+}
+
+// Estado completo de uma sala, sem os tokens de reconexão
+function detalharSala(sala) {
+    const dados = persistencia.instantaneoSala(sala);
+    delete dados.sessoes;
+    
+    return Object.assign(dados, {
+        conectados: sala.jogadores.map(jogador => !!jogador && jogador.readyState === WebSocket.OPEN),
+        espectadores: sala.espectadores.map(espectador => espectador.nome),
+        prazo: sala.prazo
+    });
+}
+
+// Aviso para todas as conexões deste nó e as de outros nós em salas daqui;
+// retorna quantas receberam
+function avisarManutencao(mensagem, desligamentoEm) {
+    const conexoes = Array.from(wss.clients).concat(Array.from(conexoesRemotas.values()));
+    conexoes.forEach(conexao => enviarParaJogador(conexao, {
+        tipo: 'aviso_manutencao',
+        mensagem: mensagem,
+        desligamentoEm: desligamentoEm
+    }));
+    return conexoes.length;
+}
+
+// Resumo público de uma sala para o lobby
+function resumoSala(sala) {
+    return {
+        codigo: sala.codigo,
+        anfitriao: sala.anfitriao || sala.nomes[0] || null,
+        totalJogadores: sala.jogadores.length,
+        maxJogadores: sala.maxJogadores,
+        permitirConvidados: sala.permitirConvidados,
+        totalEspectadores: sala.espectadores.length,
+        estado: sala.estado
+    };
+}
+
+// Sala aparece no lobby enquanto for pública e não tiver terminado
+function salaListada(sala) {
+    return salas.has(sala.codigo) && sala.publica && sala.estado !== 'finalizado';
+}
+
+function listarSalasPublicas() {
+    return Array.from(salas.values()).filter(salaListada).map(resumoSala);
+}
+
+// Avisar inscritos do lobby sobre mudança em uma sala pública
+function notificarLobby(sala) {
+    if (!sala.publica) return;
+    
+    const mensagem = salaListada(sala)
+        ? { tipo: 'sala_atualizada', sala: resumoSala(sala) }
+        : { tipo: 'sala_removida', codigo: sala.codigo };
+    
+    inscritosLobby.forEach(conexao => enviarParaJogador(conexao, mensagem));
+}
+
+// Interromper reprodução de replay de uma conexão
+function pararReplay(conexao) {
+    clearInterval(conexao.replay);
+    conexao.replay = null;
+    // Replay ainda carregando não começa mais
+    conexao.pedidoReplay = (conexao.pedidoReplay || 0) + 1;
+}
+
+// Retirar conexão da fila de busca de partida
+function sairDaFila(conexao) {
+    const index = filaPartidas.findIndex(item => item.conexao === conexao);
+    if (index > -1) filaPartidas.splice(index, 1);
+    return index > -1;
+}
+
+// Diferença de rating que quem está na fila aceita depois de esperar
+function toleranciaFila(item, agora) {
+    const passos = Math.floor((agora - item.desde) / AMPLIACAO_FILA_MS);
+    return Math.min(TOLERANCIA_INICIAL + passos * TOLERANCIA_POR_PASSO, TOLERANCIA_MAXIMA);
+}
+
+// Par da fila com ratings compatíveis: quem espera há mais tempo fica com
+// o adversário de rating mais próximo. Basta a tolerância de um dos dois.
+function encontrarPar(agora) {
+    for (const item of filaPartidas) {
+        let melhor = null;
+        filaPartidas.forEach(outro => {
+            if (outro === item) return;
+            const diferenca = Math.abs(item.rating - outro.rating);
+            if (diferenca > Math.max(toleranciaFila(item, agora), toleranciaFila(outro, agora))) return;
+            if (!melhor || diferenca < Math.abs(item.rating - melhor.rating)) melhor = outro;
+        });
+        if (melhor) return [item, melhor];
+    }
+    return null;
+}
+
+// Criar salas para os pares compatíveis da fila; roda a cada chegada e
+// periodicamente, pois as tolerâncias alargam com o tempo. Uma rodada por
+// vez, já que cada sala espera o registro no adaptador.
+let emparelhando = false;
+async function emparelharFila() {
+    if (emparelhando) return;
+    emparelhando = true;
+    
+    try {
+        await emparelharPares();
+    } catch (err) {
+        log.erro('Erro ao emparelhar a fila', { erro: err });
+    } finally {
+        emparelhando = false;
+    }
+}
+
+async function emparelharPares() {
+    for (let i = filaPartidas.length - 1; i >= 0; i--) {
+        if (filaPartidas[i].conexao.readyState !== WebSocket.OPEN) filaPartidas.splice(i, 1);
+    }
+    
+    let par;
+    while ((par = encontrarPar(Date.now()))) {
+        const salaPartida = encontrarSala(await criarSala());
+        
+        // Durante o registro alguém pode ter desistido ou caído; a próxima rodada tenta de novo
+        if (par.some(item => !filaPartidas.includes(item) || item.conexao.readyState !== WebSocket.OPEN)) {
+            encerrarSala(salaPartida, 'vazia');
+            return;
         }
+        par.forEach(item => sairDaFila(item.conexao));
+        
+        par.forEach(item => {
+            enviarParaJogador(item.conexao, {
+                tipo: 'partida_encontrada',
+                codigo: salaPartida.codigo
+            });
+            adicionarJogador(salaPartida, item.conexao, item.nome);
+        });
+        
+        logSala(salaPartida).info('Partida encontrada', { ratings: par.map(item => item.rating) });
+        agendarCheckpoint();
+    }
+}
+
+setInterval(emparelharFila, 1000);
+
+// Gerar token de sessão para reconexão
+function gerarTokenSessao() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// Serializar mensagem de saída, avisando se ela foge do esquema declarado
+function serializar(mensagem) {
+    const problema = validarSaida(mensagem);
+    if (problema) {
+        log.erro('Mensagem de saida fora do esquema', { tipo: mensagem.tipo, problema: problema.mensagem });
+    }
+    return JSON.stringify(mensagem);
+}
+
+// Broadcast para a sala; destino: 'jogadores', 'espectadores' ou 'todos'.
+// Durante o jogo, eliminados recebem o que vai para os espectadores.
+// exceto pode ser uma conexão ou uma lista delas.
+function broadcastSala(sala, mensagem, exceto = null, destino = 'jogadores') {
+    const assiste = i => sala.estado === 'jogando' && sala.eliminados.includes(i);
+    const eliminados = sala.jogadores.filter((jogador, i) => assiste(i));
+    const ativos = sala.jogadores.filter((jogador, i) => !assiste(i));
+    const excluidos = [].concat(exceto);
+    
+    let conexoes = [];
+    if (destino !== 'espectadores') conexoes = conexoes.concat(ativos);
+    if (destino !== 'jogadores') conexoes = conexoes.concat(eliminados, sala.espectadores);
+    
+    logSala(sala).debug('Mensagem enviada', { mensagem: mensagem, destino: destino });
+    const dados = serializar(mensagem);
+    conexoes.forEach(jogador => {
+        if (jogador && !excluidos.includes(jogador)) enviarDados(jogador, dados);
     });
 }
 
 // Enviar para jogador específico
 function enviarParaJogador(jogador, mensagem) {
-    if (jogador.readyState === WebSocket.OPEN) {
-        jogador.send(JSON.stringify(mensagem));
+    if (jogador && jogador.readyState === WebSocket.OPEN) {
+        logConexao(jogador).debug('Mensagem enviada', { mensagem: mensagem });
+        enviarDados(jogador, serializar(mensagem));
     }
 }
 
-wss.on('connection', (ws) => {
-    console.log('Nova conexao WebSocket');
+// Enviar sem acumular dados para quem não consome: com o buffer acima do
+// limite, a conexão é derrubada. Bots e conexões remotas não têm buffer.
+function enviarDados(conexao, dados) {
+    if (conexao.readyState !== WebSocket.OPEN) return;
     
-    ws.on('message', (data) => {
-        try {
-            const mensagem = JSON.parse(data);
-            console.log('Mensagem recebida:', mensagem);
-            
-            switch (mensagem.tipo) {
-                case 'criar_sala':
-                    const codigoNovo = criarSala();
-                    enviarParaJogador(ws, {
-                        tipo: 'sala_criada',
-                        codigo: codigoNovo
-                    });
-                    console.log(`Sala criada: ${codigoNovo}`);
-                    break;
-                
-                case 'entrar_sala':
-                    const sala = encontrarSala(mensagem.codigo);
-                    
-                    if (!sala) {
-                        enviarParaJogador(ws, {
-                            tipo: 'erro',
-                            mensagem: 'Sala nao encontrada'
-                        });
-                        break;
-                    }
-                    
-                    if (sala.jogadores.length >= 2) {
-                        enviarParaJogador(ws, {
-                            tipo: 'erro',
-                            mensagem: 'Sala cheia (maximo 2 jogadores)'
-                        });
-                        break;
-                    }
-                    
-                    // Adicionar jogador à sala
-                    ws.salaAtual = mensagem.codigo;
-                    ws.indiceJogador = sala.jogadores.length;
-                    ws.nome = mensagem.nome || `Jogador ${ws.indiceJogador + 1}`;
-                    
-                    sala.jogadores.push(ws);
-                    sala.nomes.push(ws.nome);
-                    
-                    enviarParaJogador(ws, {
-                        tipo: 'entrou_sala',
-                        codigo: mensagem.codigo,
-                        indiceJogador: ws.indiceJogador,
-                        nome: ws.nome
-                    });
-                    
-                    // Notificar outros jogadores
-                    broadcastSala(sala, {
-                        tipo: 'jogador_entrou',
-                        nome: ws.nome,
-                        totalJogadores: sala.jogadores.length
-                    }, ws);
-                    
-                    console.log(`${ws.nome} entrou na sala ${mensagem.codigo}`);
-                    
-                    // Se 2 jogadores, iniciar configuração
-                    if (sala.jogadores.length === 2) {
-                        sala.estado = 'configurando';
-                        broadcastSala(sala, {
-                            tipo: 'iniciar_configuracao',
-                            oponente: sala.nomes[0] === ws.nome ? sala.nomes[1] : sala.nomes[0]
-                        });
-                    }
-                    break;
-                
-                case 'configurar_tabuleiro':
-                    const salaConfig = encontrarSala(ws.salaAtual);
-                    if (!salaConfig) break;
-                    
-                    // Salvar tabuleiro do jogador
-                    salaConfig.tabuleiros[ws.indiceJogador] = mensagem.tabuleiro;
-                    
-                    console.log(`${ws.nome} configurou tabuleiro`);
-                    
-                    // Verificar se ambos configuraram
-                    if (salaConfig.tabuleiros.length === 2 && 
-                        salaConfig.tabuleiros[0] && salaConfig.tabuleiros[1]) {
-                        salaConfig.estado = 'jogando';
-                        salaConfig.turnoAtual = 0;
-                        
-                        broadcastSala(salaConfig, {
-                            tipo: 'jogo_iniciado',
-                            turnoInicial: salaConfig.nomes[0]
-                        });
-                        
-                        enviarParaJogador(salaConfig.jogadores[0], {
-                            tipo: 'seu_turno'
-                        });
-                    }
-                    break;
-                
-                case 'atacar':
-                    const salaAtaque = encontrarSala(ws.salaAtual);
-                    if (!salaAtaque || salaAtaque.estado !== 'jogando') break;
-                    
-                    // Verificar se é o turno do jogador
-                    if (salaAtaque.turnoAtual !== ws.indiceJogador) {
-                        enviarParaJogador(ws, {
-                            tipo: 'erro',
-                            mensagem: 'Nao e seu turno'
-                        });
-                        break;
-                    }
-                    
-                    const oponenteIdx = 1 - ws.indiceJogador;
-                    const tabuleiroOponente = salaAtaque.tabuleiros[oponenteIdx];
-                    const linha = mensagem.linha;
-                    const coluna = mensagem.coluna;
-                    
-                    // Verificar resultado do ataque
-                    const celula = tabuleiroOponente[linha][coluna];
-                    let resultado;
-                    
-                    if (celula === 'N') {
-                        resultado = 'acerto';
-                        tabuleiroOponente[linha][coluna] = 'X';
-                    } else {
-                        resultado = 'agua';
-                        tabuleiroOponente[linha][coluna] = 'O';
-                    }
-                    
-                    console.log(`${ws.nome} atacou ${linha},${coluna}: ${resultado}`);
-                    
-                    // Enviar resultado para atacante
-                    enviarParaJogador(ws, {
-                        tipo: 'resultado_ataque',
-                        linha: linha,
-                        coluna: coluna,
-                        resultado: resultado
-                    });
-                    
-                    // Enviar para oponente que foi atacado
-                    enviarParaJogador(salaAtaque.jogadores[oponenteIdx], {
-                        tipo: 'recebeu_ataque',
-                        linha: linha,
-                        coluna: coluna,
-                        resultado: resultado
-                    });
-                    
-                    // Verificar vitória
-                    const naviosRestantes = tabuleiroOponente.flat().filter(c => c === 'N').length;
-                    
-                    if (naviosRestantes === 0) {
-                        salaAtaque.estado = 'finalizado';
-                        salaAtaque.vencedor = ws.nome;
-                        
-                        broadcastSala(salaAtaque, {
-                            tipo: 'fim_jogo',
-                            vencedor: ws.nome
-                        });
-                        
-                        console.log(`${ws.nome} venceu!`);
-                    } else if (resultado === 'agua') {
-                        // Trocar turno
-                        salaAtaque.turnoAtual = oponenteIdx;
-                        
-                        enviarParaJogador(salaAtaque.jogadores[oponenteIdx], {
-                            tipo: 'seu_turno'
-                        });
-                    } else {
-                        // Acertou, continua jogando
-                        enviarParaJogador(ws, {
-                            tipo: 'seu_turno'
-                        });
-                    }
-                    break;
-            }
-        } catch (error) {
-            console.error('Erro ao processar mensagem:', error);
-            enviarParaJogador(ws, {
-                tipo: 'erro',
-                mensagem: 'Erro no servidor'
-            });
+    if (conexao.bufferedAmount > LIMITE_BUFFER_BYTES) {
+        derrubarConexao(conexao, 'consumo_lento');
+        return;
+    }
+    conexao.send(dados);
+}
+
+// Encerrar sem handshake de fechamento; o evento close cuida da vaga
+function derrubarConexao(ws, motivo) {
+    logConexao(ws).aviso('Conexao derrubada', { motivo: motivo });
+    ws.motivoQueda = motivo;
+    ws.terminate();
+}
+
+// Ping em todas as conexões deste nó, derrubando as que pararam de responder
+function verificarConexoes() {
+    wss.clients.forEach(ws => {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        
+        if (ws.pingsPerdidos >= LIMITE_PINGS_PERDIDOS) {
+            derrubarConexao(ws, 'sem_resposta');
+            return;
         }
+        ws.pingsPerdidos++;
+        ws.ping();
+    });
+}
+
+// Enviar erro estruturado; tipoMensagem é o tipo da mensagem que causou o erro
+function enviarErro(jogador, codigo, mensagem, extras = {}) {
+    metricas.contarErro(codigo);
+    // Mensagem recusada não mudou nada a salvar
+    if (jogador && jogador.tipoEmProcesso) jogador.mensagemRecusada = true;
+    enviarParaJogador(jogador, Object.assign({
+        tipo: 'erro',
+        codigo: codigo,
+        mensagem: mensagem,
+        tipoMensagem: (jogador && jogador.tipoEmProcesso) || null
+    }, extras));
+}
+
+function limparTemporizador(sala) {
+    clearTimeout(sala.temporizador);
+    sala.temporizador = null;
+    sala.prazo = null;
+}
+
+// Avisar o jogador da vez e todos da sala, com prazo para atacar
+function anunciarTurno(sala) {
+    limparTemporizador(sala);
+    
+    const indice = sala.turnoAtual;
+    sala.prazo = Date.now() + sala.tempos.turno * 1000;
+    sala.temporizador = setTimeout(() => esgotarTurno(sala), sala.tempos.turno * 1000);
+    
+    enviarParaJogador(sala.jogadores[indice], {
+        tipo: 'seu_turno',
+        prazo: sala.prazo,
+        disparosRestantes: sala.disparosRestantes
     });
     
-    ws.on('close', () => {
-        console.log('Conexao fechada');
-        
-        // Remover jogador da sala
-        if (ws.salaAtual) {
-            const sala = encontrarSala(ws.salaAtual);
-            if (sala) {
-                const index = sala.jogadores.indexOf(ws);
-                if (index > -1) {
-                    sala.jogadores.splice(index, 1);
-                    sala.nomes.splice(index, 1);
-                    
-                    // Notificar outros jogadores
-                    broadcastSala(sala, {
-                        tipo: 'jogador_saiu',
-                        nome: ws.nome
-                    });
-                    
-                    // Se sala vazia, remover
-                    if (sala.jogadores.length === 0) {
-                        salas.delete(ws.salaAtual);
-                        console.log(`Sala ${ws.salaAtual} removida`);
-                    }
-                }
-            }
+    // Informar a todos de quem é a vez
+    broadcastSala(sala, {
+        tipo: 'turno',
+        jogador: sala.nomes[indice],
+        prazo: sala.prazo
+    }, null, 'todos');
+}
+
+// Prazo do turno esgotado: pular a vez ou disparar ao acaso
+function esgotarTurno(sala) {
+    if (sala.estado !== 'jogando') return;
+    agendarCheckpoint();
+    
+    const indice = sala.turnoAtual;
+    const esgotado = jogo.registrarTempoEsgotado(sala, sala.tempos.limiteEsgotados);
+    
+    broadcastSala(sala, {
+        tipo: 'tempo_esgotado',
+        jogador: sala.nomes[indice],
+        consecutivos: esgotado.consecutivos,
+        limite: sala.tempos.limiteEsgotados
+    }, null, 'todos');
+    
+    logSala(sala).info('Tempo esgotado', { jogador: sala.nomes[indice] });
+    
+    // Eliminado por W.O.: a vez já passou ao próximo
+    if (esgotado.eliminado) {
+        anunciarEliminacao(sala, indice, 'tempo_esgotado');
+        if (sala.estado === 'jogando') anunciarTurno(sala);
+        return;
+    }
+    
+    if (sala.tempos.aoEsgotar === 'disparo_aleatorio') {
+        // No modo salvo, todos os disparos restantes do turno são feitos ao acaso.
+        // As células livres mudam quando um disparo elimina um alvo no meio do turno.
+        const disparos = sala.disparosRestantes;
+        for (let i = 0; i < disparos && sala.estado === 'jogando' && sala.turnoAtual === indice; i++) {
+            const livres = jogo.celulasLivres(sala, indice);
+            const celula = livres[Math.floor(Math.random() * livres.length)];
+            processarAtaque(sala, indice, celula.linha, celula.coluna, {
+                automatico: true,
+                alvo: celula.alvo
+            });
         }
-    });
-});
+    } else {
+        jogo.pularTurno(sala);
+        anunciarTurno(sala);
+    }
+}
 
-server.listen(PORT, () => {
-    console.log('');
-    console.log('================================================');
-    console.log('   BATALHA NAVAL - SERVIDOR WEB');
-    console.log('================================================');
-    console.log('');
-    console.log(`Servidor rodando em: http://localhost:${PORT}`);
-    console.log('');
-    console.log('Abra o navegador e acesse o endereco acima');
-    console.log('');
-    console.log('Pressione Ctrl+C para parar o servidor');
-    console.log('');
-    console.log('================================================');
-    console.log('');
+// Prazo de configuração esgotado: posicionar a frota de quem não terminou
+function esgotarConfiguracao(sala) {
+    if (sala.estado !== 'configurando') return;
+    agendarCheckpoint();
+    
+    jogo.jogadoresPendentes(sala).forEach(i => {
+        // Com navios encostados, um sorteio raro passa do limite da verificação da frota
+        let configuracao;
+        for (let tentativa = 0; tentativa < 5; tentativa++) {
+            configuracao = jogo.configurarTabuleiro(sala, i, gerarTabuleiroAleatorio(sala.regras), {
+                automatico: true
+            });
+            if (configuracao.valido) break;
+        }
+        if (!configuracao.valido) {
+            logSala(sala).erro('Falha no tabuleiro automatico', { jogador: sala.nomes[i], motivo: configuracao.mensagem });
+            return;
+        }
+        
+        enviarParaJogador(sala.jogadores[i], {
+            tipo: 'tabuleiro_automatico',
+            tabuleiro: configuracao.tabuleiro
+        });
+        logSala(sala).info('Tabuleiro automatico', { jogador: sala.nomes[i] });
+    });
+    
+    iniciarJogoSePronto(sala);
+}
+
+// Partida ranqueada: todas as vagas são de contas diferentes, sem bots
+// nem convidados. Cada jogador conectado recebe o novo rating.
+function atualizarRanking(sala, idPartida) {
+    const indices = sala.classificacao.map(nome => sala.nomes.indexOf(nome));
+    const contasClassificadas = indices.map(i => sala.contas[i]);
+    if (contasClassificadas.some(conta => !conta)) return;
+    if (new Set(contasClassificadas.map(conta => conta.toLowerCase())).size !== contasClassificadas.length) return;
+    
+    const conexoes = indices.map(i => sala.jogadores[i]);
+    ranking.registrarResultado(idPartida, contasClassificadas).then(resultados => {
+        resultados.forEach((resultado, i) => {
+            enviarParaJogador(conexoes[i], {
+                tipo: 'rating_atualizado',
+                rating: resultado.rating,
+                variacao: resultado.variacao
+            });
+        });
+    }).catch(err => logSala(sala).erro('Erro ao atualizar ranking', { erro: err }));
+}
+
+// Avisar que um jogador perdeu a frota (ou saiu) e passa a assistir
+// o resto da partida; se era o penúltimo, anunciar o fim
+function anunciarEliminacao(sala, indice, motivo) {
+    broadcastSala(sala, {
+        tipo: 'jogador_eliminado',
+        jogador: sala.nomes[indice],
+        motivo: motivo,
+        posicao: jogo.posicaoEliminado(sala, indice)
+    }, null, 'todos');
+    
+    logSala(sala).info('Jogador eliminado', { jogador: sala.nomes[indice], motivo: motivo });
+    
+    if (sala.estado === 'finalizado') {
+        anunciarFim(sala);
+        return;
+    }
+    
+    enviarParaJogador(sala.jogadores[indice], Object.assign({
+        tipo: 'assistindo'
+    }, jogo.estadoParaEspectador(sala)));
+}
+
+// Avisar o fim da partida e guardá-la no histórico
+function anunciarFim(sala) {
+    limparTemporizador(sala);
+    sala.ultimaAtividade = Date.now(); // início do prazo pós-jogo
+    
+    const serie = jogo.resumoSerie(sala);
+    broadcastSala(sala, {
+        tipo: 'fim_jogo',
+        vencedor: sala.vencedor,
+        motivo: sala.motivo,
+        classificacao: sala.classificacao,
+        serie: serie
+    });
+    
+    // Espectadores recebem as posições de todos os navios
+    broadcastSala(sala, {
+        tipo: 'fim_jogo',
+        vencedor: sala.vencedor,
+        motivo: sala.motivo,
+        classificacao: sala.classificacao,
+        serie: serie,
+        tabuleiros: sala.nomes.map((nome, i) => ({
+            jogador: nome,
+            tabuleiro: sala.tabuleiros[i] || null
+        }))
+    }, null, 'espectadores');
+    
+    notificarLobby(sala);
+    logSala(sala).info('Fim de jogo', { vencedor: sala.vencedor, motivo: sala.motivo });
+    
+    if (sala.inicio) metricas.observarDuracao((Date.now() - sala.inicio) / 1000);
+    
+    // Partida interrompida, sem vencedor, não mexe no rating
+    const idPartida = crypto.randomBytes(8).toString('hex');
+    if (sala.vencedor) atualizarRanking(sala, idPartida);
+    
+    historico.registrarPartida({
+        id: idPartida,
+        codigo: sala.codigo,
+        inicio: sala.inicio,
+        fim: Date.now(),
+        jogadores: sala.nomes.map((nome, i) => ({
+            nome: nome,
+            bot: !!(sala.jogadores[i] && sala.jogadores[i].bot),
+            convidado: contas.ehConvidado(nome)
+        })),
+        regras: sala.regras,
+        tabuleiros: sala.tabuleirosIniciais,
+        disparos: sala.disparos,
+        eventos: sala.eventos,
+        vencedor: sala.vencedor,
+        motivo: sala.motivo,
+        classificacao: sala.classificacao,
+        serie: serie
+    }).catch(err => logSala(sala).erro('Erro ao registrar partida', { erro: err }));
+}
+
+// Remover jogador definitivamente da sala
+function removerJogador(sala, indice) {
+    const nome = sala.nomes[indice];
+    const token = sala.sessoes[indice];
+    
+    clearTimeout(sala.reconexoes.get(token));
+    sala.reconexoes.delete(token);
+    
+    // Jogo em andamento: quem sai é eliminado por abandono
+    if (sala.estado === 'jogando' && !sala.eliminados.includes(indice)) {
+        const turnoAntes = sala.turnoAtual;
+        jogo.eliminar(sala, indice, 'abandono');
+        anunciarEliminacao(sala, indice, 'abandono');
+        if (sala.estado === 'jogando' && turnoAntes === indice) anunciarTurno(sala);
+    }
+    
+    const configurando = sala.estado === 'configurando';
+    if (jogo.removerJogador(sala, indice)) {
+        sala.jogadores.splice(indice, 1);
+        sala.sessoes.splice(indice, 1);
+        sala.contas.splice(indice, 1);
+    } else {
+        // Partida segue sem ele: a vaga fica só para a classificação
+        sala.jogadores[indice] = null;
+        sala.sessoes[indice] = null;
+    }
+    
+    // Configuração interrompida: prazo deixa de valer
+    if (configurando) limparTemporizador(sala);
+    
+    // Atualizar índice de quem permaneceu
+    sala.jogadores.forEach((jogador, i) => {
+        if (jogador) jogador.indiceJogador = i;
+    });
+    
+    // Notificar outros jogadores e espectadores
+    broadcastSala(sala, {
+        tipo: 'jogador_saiu',
+        nome: nome
+    }, null, 'todos');
+    
+    // Se não resta nenhum jogador humano, remover a sala
+    // (vaga sem sessão é de eliminado que já foi embora)
+    if (sala.jogadores.every((j, i) => (j && j.bot) || (!j && !sala.sessoes[i]))) {
+        encerrarSala(sala, 'vazia');
+        return;
+    }
+    
+    // Anfitrião saiu: passa ao próximo humano que ainda tem vaga
+    if (sala.anfitriao === nome) {
+        sala.anfitriao = sala.nomes.find((outro, i) =>
+            sala.sessoes[i] && !(sala.jogadores[i] && sala.jogadores[i].bot)) || null;
+        if (sala.anfitriao) {
+            broadcastSala(sala, {
+                tipo: 'anfitriao_alterado',
+                anfitriao: sala.anfitriao
+            }, null, 'todos');
+        }
+    }
+    
+    notificarLobby(sala);
+}
+
+// Conexão deixa de pertencer à sala, sem fechar o socket
+function desligarDaSala(conexao) {
+    conexao.salaAtual = null;
+    conexao.indiceJogador = null;
+    conexao.tokenSessao = null;
+}
+
+// Tirar espectador da sala que ele assiste
+function removerEspectador(conexao) {
+    const sala = encontrarSala(conexao.salaAssistida);
+    conexao.salaAssistida = null;
+    if (!sala) return;
+    
+    const index = sala.espectadores.indexOf(conexao);
+    if (index === -1) return;
+    
+    sala.espectadores.splice(index, 1);
+    broadcastSala(sala, {
+        tipo: 'espectador_saiu',
+        nome: conexao.nome,
+        totalEspectadores: sala.espectadores.length
+    });
+    notificarLobby(sala);
+}
+
+// Remover a sala avisando quem ainda está nela; motivo: vazia, fechada, ociosa,
+// pos_jogo, administrador, outro_no
+function encerrarSala(sala, motivo) {
+    broadcastSala(sala, {
+        tipo: 'sala_encerrada',
+        codigo: sala.codigo,
+        motivo: motivo
+    }, null, 'todos');
+    
+    sala.espectadores.forEach(espectador => { espectador.salaAssistida = null; });
+    sala.jogadores.forEach(jogador => {
+        if (!jogador) return;
+        if (jogador.bot) jogador.close();
+        else desligarDaSala(jogador);
+    });
+    
+    sala.reconexoes.forEach(temporizador => clearTimeout(temporizador));
+    sala.reconexoes.clear();
+    limparTemporizador(sala);
+    
+    salas.delete(sala.codigo);
+    adaptador.liberarSala(sala.codigo).catch(err => {
+        logSala(sala).erro('Erro ao liberar sala', { erro: err });
+    });
+    notificarLobby(sala);
+    agendarCheckpoint();
+    logSala(sala).info('Sala removida', { motivo: motivo });
+    log.definirDepuracaoSala(sala.codigo, false);
+}
+
+// Encerrar salas paradas: sem mensagens de jogadores há muito tempo,
+// ou finalizadas sem revanche
+function varrerSalas() {
+    const agora = Date.now();
+    Array.from(salas.values()).forEach(sala => {
+        const parada = agora - sala.ultimaAtividade;
+        if (sala.estado === 'finalizado' && parada > PRAZO_POS_JOGO_MS) {
+            encerrarSala(sala, 'pos_jogo');
+        } else if (parada > PRAZO_SALA_OCIOSA_MS) {
+            encerrarSala(sala, 'ociosa');
+        }
+    });
+}
+
+setInterval(varrerSalas, INTERVALO_VARREDURA_MS);
+
+// Conexão ocupa a vaga de anfitrião da sala
+function ehAnfitriao(sala, conexao) {
+    return !!sala.anfitriao && sala.jogadores[conexao.indiceJogador] === conexao &&
+        sala.nomes[conexao.indiceJogador] === sala.anfitriao;
+}
+
+// Adicionar jogador (conexão ou jogador virtual) à sala
+function adicionarJogador(sala, jogador, nome) {
+    if (!sala.permitirConvidados && jogador.conta && jogador.conta.convidado) {
+        enviarErro(jogador, 'convidado_nao_permitido', 'Sala aceita apenas jogadores com conta');
+        return false;
+    }
+    if (sala.expulsos.includes(nome)) {
+        enviarErro(jogador, 'expulso', 'Jogador foi expulso desta sala');
+        return false;
+    }
+    
+    const entrada = jogo.adicionarJogador(sala, nome);
+    if (!entrada.valido) {
+        enviarErro(jogador, entrada.codigo, entrada.mensagem, entrada.detalhes);
+        return false;
+    }
+    
+    sairDaFila(jogador);
+    
+    jogador.salaAtual = sala.codigo;
+    jogador.indiceJogador = entrada.indice;
+    jogador.nome = entrada.nome;
+    jogador.tokenSessao = gerarTokenSessao();
+    
+    sala.jogadores.push(jogador);
+    sala.sessoes.push(jogador.tokenSessao);
+    sala.contas.push(jogador.conta && !jogador.conta.convidado ? jogador.conta.nome : null);
+    
+    enviarParaJogador(jogador, {
+        tipo: 'entrou_sala',
+        codigo: sala.codigo,
+        indiceJogador: jogador.indiceJogador,
+        nome: jogador.nome,
+        token: jogador.tokenSessao
+    });
+    enviarHistoricoChat(jogador, sala);
+    
+    // Notificar outros jogadores e espectadores
+    broadcastSala(sala, {
+        tipo: 'jogador_entrou',
+        nome: jogador.nome,
+        totalJogadores: sala.jogadores.length
+    }, jogador, 'todos');
+    
+    logSala(sala).info('Jogador entrou', { jogador: jogador.nome });
+    
+    // Sala completa: iniciar configuração
+    if (sala.estado === 'configurando') {
+        iniciarConfiguracao(sala);
+    }
+    
+    notificarLobby(sala);
+    return true;
+}
+
+// Abrir o prazo para posicionar as frotas
+function iniciarConfiguracao(sala) {
+    limparTemporizador(sala);
+    sala.prazo = Date.now() + sala.tempos.configuracao * 1000;
+    sala.temporizador = setTimeout(() => esgotarConfiguracao(sala), sala.tempos.configuracao * 1000);
+    
+    sala.jogadores.forEach((conexao, i) => {
+        enviarParaJogador(conexao, {
+            tipo: 'iniciar_configuracao',
+            oponente: sala.nomes[jogo.proximoJogador(sala, i)],
+            oponentes: sala.nomes.filter((nome, j) => j !== i),
+            prazo: sala.prazo,
+            regras: sala.regras
+        });
+    });
+}
+
+// Pedido ou aceite de revanche depois do fim do jogo
+function registrarRevanche(jogador, aceite) {
+    const sala = encontrarSala(jogador.salaAtual);
+    if (!sala) {
+        enviarErro(jogador, 'estado_invalido', 'Conexao nao esta em uma sala');
+        return;
+    }
+    
+    // Vaga de eliminado que foi embora não volta para a revanche
+    if (sala.estado === 'finalizado' && sala.sessoes.some(sessao => !sessao)) {
+        enviarErro(jogador, 'revanche_indisponivel', 'Nem todos os jogadores continuam na sala');
+        return;
+    }
+    
+    const pedido = aceite
+        ? jogo.aceitarRevanche(sala, jogador.indiceJogador)
+        : jogo.pedirRevanche(sala, jogador.indiceJogador);
+    if (!pedido.valido) {
+        enviarErro(jogador, pedido.codigo, pedido.mensagem, pedido.detalhes);
+        return;
+    }
+    
+    if (!pedido.reiniciou) {
+        broadcastSala(sala, {
+            tipo: 'revanche_pedida',
+            jogador: jogador.nome,
+            pendentes: pedido.pendentes.map(i => sala.nomes[i])
+        }, null, 'todos');
+        return;
+    }
+    
+    broadcastSala(sala, {
+        tipo: 'revanche_iniciada',
+        serie: jogo.resumoSerie(sala),
+        primeiroJogador: sala.nomes[sala.primeiroJogador]
+    }, null, 'todos');
+    
+    logSala(sala).info('Revanche');
+    iniciarConfiguracao(sala);
+    notificarLobby(sala);
+}
+
+// Publicar mensagem de chat de um jogador ou espectador
+function enviarChat(conexao, texto) {
+    const sala = encontrarSala(conexao.salaAtual || conexao.salaAssistida);
+    if (!sala) {
+        enviarErro(conexao, 'estado_invalido', 'Conexao nao esta em uma sala');
+        return;
+    }
+    
+    if (!texto.trim()) {
+        enviarErro(conexao, 'mensagem_invalida', 'Mensagem de chat vazia', { campo: 'texto' });
+        return;
+    }
+    
+    conexao.enviosChat = conexao.enviosChat || [];
+    if (!chat.podeEnviar(conexao.enviosChat)) {
+        enviarErro(conexao, 'limite_chat',
+            `Maximo de ${chat.LIMITE_MENSAGENS} mensagens a cada ${chat.JANELA_MS / 1000} segundos`);
+        return;
+    }
+    
+    const entrada = {
+        remetente: conexao.nome,
+        texto: chat.filtrar(texto.trim()),
+        timestamp: Date.now(),
+        espectador: !conexao.salaAtual
+    };
+    chat.registrarMensagem(sala.chat, entrada);
+    
+    // Quem silenciou o remetente não recebe
+    const silenciaram = sala.jogadores.concat(sala.espectadores)
+        .filter(c => c && c.silenciados && c.silenciados.has(conexao.nome));
+    broadcastSala(sala, Object.assign({ tipo: 'chat' }, entrada), silenciaram, 'todos');
+}
+
+// Mensagens recentes para quem acabou de entrar na sala
+function enviarHistoricoChat(conexao, sala) {
+    if (sala.chat.length === 0) return;
+    
+    enviarParaJogador(conexao, {
+        tipo: 'historico_chat',
+        mensagens: sala.chat
+    });
+}
+
+// Deixar de receber (ou voltar a receber) o chat de alguém da sala
+function silenciar(conexao, nome, ativo) {
+    const sala = encontrarSala(conexao.salaAtual || conexao.salaAssistida);
+    if (!sala) {
+        enviarErro(conexao, 'estado_invalido', 'Conexao nao esta em uma sala');
+        return;
+    }
+    
+    const presentes = sala.nomes.concat(sala.espectadores.map(e => e.nome));
+    if (nome === conexao.nome || !presentes.includes(nome)) {
+        enviarErro(conexao, 'jogador_nao_encontrado', 'Ninguem com esse nome na sala');
+        return;
+    }
+    
+    conexao.silenciados = conexao.silenciados || new Set();
+    if (ativo) {
+        conexao.silenciados.add(nome);
+    } else {
+        conexao.silenciados.delete(nome);
+    }
+    
+    enviarParaJogador(conexao, {
+        tipo: ativo ? 'silenciado' : 'dessilenciado',
+        jogador: nome
+    });
+}
+
+// Série de revanches com número ímpar de partidas
+function serieValida(melhorDe) {
+    return melhorDe >= 1 && melhorDe <= jogo.MAXIMO_PARTIDAS_SERIE && melhorDe % 2 === 1;
+}
+
+// Validar e registrar o tabuleiro de um jogador
+function configurarTabuleiro(jogador, tabuleiro) {
+    const sala = encontrarSala(jogador.salaAtual);
+    if (!sala) {
+        enviarErro(jogador, 'estado_invalido', 'Conexao nao esta em uma sala');
+        return;
+    }
+    
+    const configuracao = jogo.configurarTabuleiro(sala, jogador.indiceJogador, tabuleiro);
+    if (!configuracao.valido) {
+        enviarErro(jogador, configuracao.codigo, configuracao.mensagem, configuracao.detalhes);
+        if (configuracao.detalhes.regra) {
+            logConexao(jogador).info('Tabuleiro invalido', { regra: configuracao.detalhes.regra });
+        }
+        return;
+    }
+    
+    logConexao(jogador).info('Tabuleiro configurado');
+    
+    enviarParaJogador(jogador, {
+        tipo: 'tabuleiro_aceito'
+    });
+    
+    iniciarJogoSePronto(sala);
+}
+
+// Iniciar o jogo quando ambos os tabuleiros estiverem configurados
+function iniciarJogoSePronto(sala) {
+    if (!jogo.iniciarSePronto(sala)) return;
+    
+    broadcastSala(sala, {
+        tipo: 'jogo_iniciado',
+        turnoInicial: sala.nomes[sala.turnoAtual],
+        serie: jogo.resumoSerie(sala)
+    }, null, 'todos');
+    
+    anunciarTurno(sala);
+    notificarLobby(sala);
+}
+
+// Processar ataque de um jogador e avisar cada parte do resultado
+function processarAtaque(sala, indice, linha, coluna, opcoes = {}) {
+    if (!sala) return;
+    
+    const jogador = sala.jogadores[indice];
+    const ataque = jogo.atacar(sala, indice, linha, coluna, opcoes);
+    
+    if (!ataque.valido) {
+        enviarErro(jogador, ataque.codigo, ataque.mensagem, ataque.detalhes);
+        return;
+    }
+    
+    if (ataque.afundado) {
+        logSala(sala).info('Navio afundado', { jogador: sala.nomes[indice], navio: ataque.afundado.tipo });
+    }
+    logSala(sala).debug('Ataque', { jogador: sala.nomes[indice], linha: linha, coluna: coluna, resultado: ataque.resultado });
+    
+    // Enviar resultado para atacante
+    enviarParaJogador(jogador, {
+        tipo: 'resultado_ataque',
+        alvo: sala.nomes[ataque.alvo],
+        linha: linha,
+        coluna: coluna,
+        resultado: ataque.resultado,
+        afundado: ataque.afundado,
+        frotaPropria: ataque.frotaAtacante,
+        frotaOponente: ataque.frotaAlvo
+    });
+    
+    // Enviar para oponente que foi atacado
+    enviarParaJogador(sala.jogadores[ataque.alvo], {
+        tipo: 'recebeu_ataque',
+        atacante: sala.nomes[indice],
+        linha: linha,
+        coluna: coluna,
+        resultado: ataque.resultado,
+        afundado: ataque.afundado,
+        frotaPropria: ataque.frotaAlvo,
+        frotaOponente: ataque.frotaAtacante
+    });
+    
+    // Transmitir para espectadores e para os demais jogadores
+    broadcastSala(sala, {
+        tipo: 'ataque',
+        atacante: sala.nomes[indice],
+        alvo: sala.nomes[ataque.alvo],
+        linha: linha,
+        coluna: coluna,
+        resultado: ataque.resultado,
+        afundado: ataque.afundado,
+        frotaAlvo: ataque.frotaAlvo
+    }, [jogador, sala.jogadores[ataque.alvo]], 'todos');
+    
+    // Frota afundada; com o último oponente, anuncia também o fim
+    if (ataque.eliminado) {
+        anunciarEliminacao(sala, ataque.alvo, 'frota_destruida');
+    }
+    
+    if (sala.estado !== 'jogando') return;
+    
+    if (ataque.novoTurno) {
+        anunciarTurno(sala);
+    } else {
+        // Modo salvo: ainda há disparos neste turno, com o mesmo prazo
+        enviarParaJogador(jogador, {
+            tipo: 'seu_turno',
+            prazo: sala.prazo,
+            disparosRestantes: sala.disparosRestantes
+        });
+    }
+}
+
+// Gravar o estado das salas em disco depois de uma mudança; várias mudanças
+// no mesmo ciclo viram uma só gravação
+let checkpointAgendado = false;
+function agendarCheckpoint() {
+    if (checkpointAgendado) return;
+    checkpointAgendado = true;
+    
+    setImmediate(() => {
+        checkpointAgendado = false;
+        if (encerrado) return;
+        persistencia.salvarSalas(Array.from(salas.values())).catch(err => {
+            log.erro('Erro ao salvar salas', { erro: err });
+        });
+    });
+}
+
+// Manter a vaga de um jogador sem conexão até o fim do prazo
+function reservarVaga(sala, indice, prazoMs) {
+    const token = sala.sessoes[indice];
+    const nome = sala.nomes[indice];
+    
+    sala.reconexoes.set(token, setTimeout(() => {
+        sala.reconexoes.delete(token);
+        const indiceAtual = sala.sessoes.indexOf(token);
+        if (indiceAtual > -1 && !sala.jogadores[indiceAtual]) {
+            logSala(sala).info('Vaga expirada sem reconexao', { jogador: nome });
+            removerJogador(sala, indiceAtual);
+            agendarCheckpoint();
+        }
+    }, prazoMs));
+}
+
+// Jogador virtual que age pelas mesmas funções de um jogador humano
+function criarBot(sala, dificuldade) {
+    const bot = criarJogadorVirtual({
+        dificuldade: dificuldade,
+        regras: sala.regras,
+        aoConfigurar: (tabuleiro) => {
+            configurarTabuleiro(bot, tabuleiro);
+            agendarCheckpoint();
+        },
+        aoAtacar: (linha, coluna) => {
+            processarAtaque(encontrarSala(bot.salaAtual), bot.indiceJogador, linha, coluna);
+            agendarCheckpoint();
+        },
+        aoAceitarRevanche: () => {
+            registrarRevanche(bot, true);
+            agendarCheckpoint();
+        }
+    });
+    return bot;
+}
+
+// Retomar o registro da sala deixado pelo nó anterior a este processo;
+// se outro nó já a serve, a cópia local é descartada
+async function reivindicarSalaSalva(dados) {
+    try {
+        if (await adaptador.reivindicarSala(dados.codigo, dados.no)) return true;
+        log.erro('Sala salva ja pertence a outro no, descartada', { sala: dados.codigo });
+    } catch (err) {
+        log.erro('Erro ao retomar sala salva, descartada', { sala: dados.codigo, erro: err });
+    }
+    return false;
+}
+
+// Recriar as salas salvas antes do reinício. Jogadores humanos têm
+// PRAZO_RESTAURACAO_MS para reconectar com o token de sessão
+async function restaurarSalas() {
+    const salvas = await persistencia.carregarSalas();
+    const retomadas = await Promise.all(salvas.map(reivindicarSalaSalva));
+    
+    salvas.filter((dados, i) => retomadas[i]).forEach(dados => {
+        const bots = dados.bots || [];
+        const sala = Object.assign(jogo.criarPartida(), dados, {
+            no: adaptador.idNo,
+            contas: dados.contas || dados.nomes.map(() => null),
+            jogadores: dados.nomes.map(() => null),
+            reconexoes: new Map(),
+            espectadores: [],
+            temporizador: null,
+            prazo: null,
+            expulsos: dados.expulsos || [],
+            ultimaAtividade: Date.now()
+        });
+        delete sala.bots;
+        salas.set(sala.codigo, sala);
+        
+        sala.nomes.forEach((nome, i) => {
+            if (bots[i]) {
+                const bot = criarBot(sala, bots[i]);
+                bot.salaAtual = sala.codigo;
+                bot.indiceJogador = i;
+                bot.nome = nome;
+                bot.tokenSessao = sala.sessoes[i];
+                sala.jogadores[i] = bot;
+            } else if (sala.sessoes[i]) {
+                reservarVaga(sala, i, PRAZO_RESTAURACAO_MS);
+            }
+        });
+        
+        // Prazos recomeçam do zero, pois o tempo parado não conta
+        if (sala.estado === 'configurando') iniciarConfiguracao(sala);
+        if (sala.estado === 'jogando') anunciarTurno(sala);
+    });
+    
+    const total = retomadas.filter(Boolean).length;
+    if (total > 0) log.info('Salas restauradas', { total: total });
+}
+
+// Tirar a conexão do lobby, da fila de partidas e de replays
+function liberarConexao(ws) {
+    inscritosLobby.delete(ws);
+    sairDaFila(ws);
+    pararReplay(ws);
+}
+
+// Sala recém-criada para a conexão: enquanto o código era registrado ela
+// pode ter caído; nesse caso a sala vazia é descartada
+function conexaoAindaLivre(ws, codigo) {
+    if (ws.readyState === WebSocket.OPEN && !ws.salaAtual && !ws.salaAssistida) return true;
+    
+    encerrarSala(encontrarSala(codigo), 'vazia');
+    return false;
+}
+
+// Processar uma mensagem de uma conexão deste nó ou encaminhada por outro.
+// Criar uma sala espera o registro no adaptador; a promessa resolve no fim.
+async function tratarMensagem(ws, data) {
+    let mensagem;
+    try {
+        mensagem = JSON.parse(data);
+    } catch (error) {
+        metricas.contarMensagem('invalida');
+        enviarErro(ws, 'json_invalido', 'Mensagem nao e um JSON valido');
+        return;
+    }
+    
+    // Rejeitar antes da lógica do jogo tudo que foge do esquema
+    const invalida = validarEntrada(mensagem);
+    if (invalida) {
+        metricas.contarMensagem('invalida');
+        enviarErro(ws, invalida.codigo, invalida.mensagem, {
+            tipoMensagem: mensagem && typeof mensagem.tipo === 'string' ? mensagem.tipo : null,
+            campo: invalida.campo
+        });
+        return;
+    }
+    
+    metricas.contarMensagem(mensagem.tipo);
+    ws.tipoEmProcesso = mensagem.tipo;
+    try {
+        logConexao(ws).debug('Mensagem recebida', { mensagem: mensagem });
+        
+        if (encerrando && MENSAGENS_PARTIDA_NOVA.includes(mensagem.tipo)) {
+            enviarErro(ws, 'servidor_encerrando', 'Servidor desligando, sem partidas novas');
+            return;
+        }
+        
+        switch (mensagem.tipo) {
+            case 'ola':
+                if (!VERSOES_SUPORTADAS.includes(mensagem.versao)) {
+                    enviarErro(ws, 'versao_incompativel',
+                        `Versao ${mensagem.versao} nao suportada (suportadas: ${VERSOES_SUPORTADAS.join(', ')})`);
+                    ws.close();
+                    break;
+                }
+                
+                ws.versaoProtocolo = mensagem.versao;
+                enviarParaJogador(ws, {
+                    tipo: 'protocolo_aceito',
+                    versao: mensagem.versao
+                });
+                break;
+            
+            case 'criar_sala':
+                if (ws.salaAtual || ws.salaAssistida) {
+                    enviarErro(ws, 'ja_em_sala', 'Conexao ja esta em uma sala');
+                    break;
+                }
+                
+                const regrasNovas = normalizarRegras(mensagem.regras);
+                if (!regrasNovas.valido) {
+                    enviarErro(ws, 'regras_invalidas', regrasNovas.mensagem);
+                    break;
+                }
+                
+                const maxJogadores = mensagem.maxJogadores === undefined
+                    ? jogo.MINIMO_JOGADORES
+                    : mensagem.maxJogadores;
+                if (maxJogadores < jogo.MINIMO_JOGADORES || maxJogadores > jogo.MAXIMO_JOGADORES) {
+                    enviarErro(ws, 'regras_invalidas',
+                        `Sala deve ter de ${jogo.MINIMO_JOGADORES} a ${jogo.MAXIMO_JOGADORES} jogadores`);
+                    break;
+                }
+                
+                const melhorDe = mensagem.melhorDe === undefined ? 1 : mensagem.melhorDe;
+                if (!serieValida(melhorDe)) {
+                    enviarErro(ws, 'regras_invalidas',
+                        `Serie deve ser melhor de um numero impar de partidas, ate ${jogo.MAXIMO_PARTIDAS_SERIE}`);
+                    break;
+                }
+                
+                const codigoNovo = await criarSala({
+                    publica: mensagem.publica === true,
+                    anfitriao: ws.nome,
+                    tempos: mensagem.tempos,
+                    regras: regrasNovas.regras,
+                    maxJogadores: maxJogadores,
+                    melhorDe: melhorDe,
+                    permitirConvidados: mensagem.permitirConvidados
+                });
+                if (!conexaoAindaLivre(ws, codigoNovo)) break;
+                
+                enviarParaJogador(ws, {
+                    tipo: 'sala_criada',
+                    codigo: codigoNovo,
+                    publica: mensagem.publica === true
+                });
+                logConexao(ws).info('Sala criada', { sala: codigoNovo });
+                
+                // Quem cria a sala já ocupa a primeira vaga
+                adicionarJogador(encontrarSala(codigoNovo), ws, ws.nome);
+                break;
+            
+            case 'listar_salas':
+                enviarParaJogador(ws, {
+                    tipo: 'lista_salas',
+                    salas: listarSalasPublicas()
+                });
+                
+                // Inscrever para atualizações ao vivo
+                if (mensagem.inscrever) {
+                    inscritosLobby.add(ws);
+                }
+                break;
+            
+            case 'sair_lobby':
+                inscritosLobby.delete(ws);
+                break;
+            
+            case 'buscar_partida':
+                if (ws.salaAtual || ws.salaAssistida) {
+                    enviarErro(ws, 'ja_em_sala', 'Conexao ja esta em uma sala');
+                    break;
+                }
+                
+                if (filaPartidas.some(item => item.conexao === ws)) break;
+                
+                const item = {
+                    conexao: ws,
+                    nome: ws.nome,
+                    rating: ranking.ratingDe(ws.nome),
+                    desde: Date.now()
+                };
+                filaPartidas.push(item);
+                enviarParaJogador(ws, {
+                    tipo: 'buscando_partida',
+                    posicao: filaPartidas.length,
+                    rating: item.rating
+                });
+                
+                emparelharFila();
+                break;
+            
+            case 'cancelar_busca':
+                if (sairDaFila(ws)) {
+                    enviarParaJogador(ws, {
+                        tipo: 'busca_cancelada'
+                    });
+                }
+                break;
+            
+            case 'entrar_sala':
+                const sala = encontrarSala(mensagem.codigo);
+                
+                if (!sala) {
+                    enviarErro(ws, 'sala_nao_encontrada', 'Sala nao encontrada');
+                    break;
+                }
+                
+                // Já sentado nesta sala (como o criador): repetir a confirmação
+                if (ws.salaAtual === sala.codigo && sala.jogadores[ws.indiceJogador] === ws) {
+                    enviarParaJogador(ws, {
+                        tipo: 'entrou_sala',
+                        codigo: sala.codigo,
+                        indiceJogador: ws.indiceJogador,
+                        nome: ws.nome,
+                        token: ws.tokenSessao
+                    });
+                    break;
+                }
+                
+                if (ws.salaAtual || ws.salaAssistida) {
+                    enviarErro(ws, 'ja_em_sala', 'Conexao ja esta em uma sala');
+                    break;
+                }
+                
+                adicionarJogador(sala, ws, ws.nome);
+                break;
+            
+            case 'sair_sala':
+                if (ws.salaAssistida) {
+                    const codigoAssistido = ws.salaAssistida;
+                    removerEspectador(ws);
+                    enviarParaJogador(ws, { tipo: 'saiu_sala', codigo: codigoAssistido });
+                    break;
+                }
+                
+                const salaSaida = encontrarSala(ws.salaAtual);
+                if (!salaSaida || salaSaida.jogadores[ws.indiceJogador] !== ws) {
+                    enviarErro(ws, 'estado_invalido', 'Conexao nao esta em uma sala');
+                    break;
+                }
+                
+                removerJogador(salaSaida, ws.indiceJogador);
+                desligarDaSala(ws);
+                enviarParaJogador(ws, { tipo: 'saiu_sala', codigo: salaSaida.codigo });
+                logConexao(ws).info('Saiu da sala', { sala: salaSaida.codigo });
+                break;
+            
+            case 'fechar_sala':
+                const salaFechada = encontrarSala(ws.salaAtual);
+                if (!salaFechada || !ehAnfitriao(salaFechada, ws)) {
+                    enviarErro(ws, 'apenas_anfitriao', 'Apenas o anfitriao pode fechar a sala');
+                    break;
+                }
+                
+                encerrarSala(salaFechada, 'fechada');
+                break;
+            
+            case 'expulsar':
+                const salaExpulsao = encontrarSala(ws.salaAtual);
+                if (!salaExpulsao || !ehAnfitriao(salaExpulsao, ws)) {
+                    enviarErro(ws, 'apenas_anfitriao', 'Apenas o anfitriao pode expulsar jogadores');
+                    break;
+                }
+                
+                const indiceExpulso = salaExpulsao.nomes.indexOf(mensagem.jogador);
+                if (indiceExpulso === -1 || !salaExpulsao.sessoes[indiceExpulso]) {
+                    enviarErro(ws, 'jogador_nao_encontrado', `Jogador nao esta na sala: ${mensagem.jogador}`);
+                    break;
+                }
+                if (indiceExpulso === ws.indiceJogador) {
+                    enviarErro(ws, 'estado_invalido', 'Anfitriao nao pode expulsar a si mesmo');
+                    break;
+                }
+                
+                const expulso = salaExpulsao.jogadores[indiceExpulso];
+                salaExpulsao.expulsos.push(mensagem.jogador);
+                removerJogador(salaExpulsao, indiceExpulso);
+                if (expulso && expulso.bot) {
+                    expulso.close();
+                } else if (expulso) {
+                    desligarDaSala(expulso);
+                    enviarParaJogador(expulso, { tipo: 'expulso', codigo: salaExpulsao.codigo });
+                }
+                logConexao(ws).info('Jogador expulso', { expulso: mensagem.jogador });
+                break;
+            
+            case 'jogar_contra_bot':
+                if (ws.salaAtual || ws.salaAssistida) {
+                    enviarErro(ws, 'ja_em_sala', 'Conexao ja esta em uma sala');
+                    break;
+                }
+                
+                const dificuldade = mensagem.dificuldade || 'medio';
+                if (!DIFICULDADES.includes(dificuldade)) {
+                    enviarErro(ws, 'dificuldade_invalida',
+                        `Dificuldade deve ser uma de: ${DIFICULDADES.join(', ')}`);
+                    break;
+                }
+                
+                const regrasBot = normalizarRegras(mensagem.regras);
+                if (!regrasBot.valido) {
+                    enviarErro(ws, 'regras_invalidas', regrasBot.mensagem);
+                    break;
+                }
+                
+                const melhorDeBot = mensagem.melhorDe === undefined ? 1 : mensagem.melhorDe;
+                if (!serieValida(melhorDeBot)) {
+                    enviarErro(ws, 'regras_invalidas',
+                        `Serie deve ser melhor de um numero impar de partidas, ate ${jogo.MAXIMO_PARTIDAS_SERIE}`);
+                    break;
+                }
+                
+                const codigoBot = await criarSala({
+                    regras: regrasBot.regras,
+                    melhorDe: melhorDeBot,
+                    anfitriao: ws.nome
+                });
+                if (!conexaoAindaLivre(ws, codigoBot)) break;
+                
+                const salaBot = encontrarSala(codigoBot);
+                adicionarJogador(salaBot, ws, ws.nome);
+                
+                // Vaga 1 ocupada pelo jogador virtual
+                adicionarJogador(salaBot, criarBot(salaBot, dificuldade), `Bot (${dificuldade})`);
+                
+                logConexao(ws).info('Sala criada contra bot', { sala: salaBot.codigo, dificuldade: dificuldade });
+                break;
+            
+            case 'assistir_sala':
+                const salaAssistida = encontrarSala(mensagem.codigo);
+                
+                if (!salaAssistida) {
+                    enviarErro(ws, 'sala_nao_encontrada', 'Sala nao encontrada');
+                    break;
+                }
+                
+                if (ws.salaAtual || ws.salaAssistida) {
+                    enviarErro(ws, 'ja_em_sala', 'Conexao ja esta em uma sala');
+                    break;
+                }
+                
+                // Espectador fica fora de sala.jogadores: não ataca nem configura
+                ws.salaAssistida = salaAssistida.codigo;
+                salaAssistida.espectadores.push(ws);
+                
+                enviarParaJogador(ws, Object.assign({
+                    tipo: 'assistindo'
+                }, jogo.estadoParaEspectador(salaAssistida)));
+                enviarHistoricoChat(ws, salaAssistida);
+                
+                broadcastSala(salaAssistida, {
+                    tipo: 'espectador_entrou',
+                    nome: ws.nome,
+                    totalEspectadores: salaAssistida.espectadores.length
+                });
+                
+                notificarLobby(salaAssistida);
+                logConexao(ws).info('Assistindo sala');
+                break;
+            
+            case 'assistir_replay':
+                pararReplay(ws);
+                const pedidoReplay = ws.pedidoReplay;
+                
+                const intervaloReplay = Number.isInteger(mensagem.intervalo)
+                    ? Math.min(Math.max(mensagem.intervalo, 100), 10000)
+                    : 1000;
+                const origemReplay = replay.buscarReplayImportado(mensagem.id) ? 'replays' : 'partidas';
+                
+                buscarReplay(origemReplay, mensagem.id).then(documento => {
+                    // Durante a leitura a conexão caiu, parou ou pediu outro replay
+                    if (ws.pedidoReplay !== pedidoReplay || ws.readyState !== WebSocket.OPEN) return;
+                    
+                    if (!documento) {
+                        enviarErro(ws, 'replay_nao_encontrado', 'Replay nao encontrado', {
+                            tipoMensagem: 'assistir_replay'
+                        });
+                        return;
+                    }
+                    
+                    const passoInicial = Number.isInteger(mensagem.passo) ? mensagem.passo : 0;
+                    const estadoReplay = replay.reconstruirEstado(documento, passoInicial);
+                    const pendentes = replay.mensagensReplay(documento, estadoReplay.passo);
+                    
+                    // Mesmo fluxo de mensagens de um espectador ao vivo
+                    enviarParaJogador(ws, Object.assign({
+                        tipo: 'assistindo',
+                        replay: documento.id,
+                        passo: estadoReplay.passo,
+                        totalPassos: estadoReplay.totalPassos
+                    }, jogo.estadoParaEspectador(estadoReplay)));
+                    
+                    clearInterval(ws.replay);
+                    ws.replay = setInterval(() => {
+                        const proxima = pendentes.shift();
+                        if (!proxima) {
+                            pararReplay(ws);
+                            enviarParaJogador(ws, {
+                                tipo: 'replay_finalizado',
+                                replay: documento.id
+                            });
+                            return;
+                        }
+                        enviarParaJogador(ws, proxima);
+                    }, intervaloReplay);
+                }).catch(err => {
+                    logConexao(ws).erro('Erro ao reproduzir replay', { erro: err });
+                    enviarErro(ws, 'erro_servidor', 'Erro no servidor', {
+                        tipoMensagem: 'assistir_replay'
+                    });
+                });
+                break;
+            
+            case 'parar_replay':
+                pararReplay(ws);
+                break;
+            
+            case 'pedir_revanche':
+                registrarRevanche(ws, false);
+                break;
+            
+            case 'aceitar_revanche':
+                registrarRevanche(ws, true);
+                break;
+            
+            case 'chat':
+                enviarChat(ws, mensagem.texto);
+                break;
+            
+            case 'silenciar':
+                silenciar(ws, mensagem.jogador, true);
+                break;
+            
+            case 'dessilenciar':
+                silenciar(ws, mensagem.jogador, false);
+                break;
+            
+            case 'configurar_tabuleiro':
+                configurarTabuleiro(ws, mensagem.tabuleiro);
+                break;
+            
+            case 'atacar':
+                const salaAtaque = encontrarSala(ws.salaAtual);
+                if (!salaAtaque) {
+                    enviarErro(ws, 'estado_invalido', 'Conexao nao esta em uma sala');
+                    break;
+                }
+                
+                // Alvo escolhido pelo nome; só é obrigatório com mais de um oponente
+                const alvoAtaque = mensagem.alvo !== undefined
+                    ? salaAtaque.nomes.indexOf(mensagem.alvo)
+                    : undefined;
+                
+                processarAtaque(salaAtaque, ws.indiceJogador, mensagem.linha, mensagem.coluna, {
+                    alvo: alvoAtaque
+                });
+                break;
+            
+            case 'reconectar':
+                const salaReconexao = encontrarSala(mensagem.codigo);
+                const indiceSessao = salaReconexao && mensagem.token
+                    ? salaReconexao.sessoes.indexOf(mensagem.token)
+                    : -1;
+                
+                // O token da vaga só vale para a conta que a ocupou
+                const contaSessao = indiceSessao > -1 ? salaReconexao.contas[indiceSessao] : null;
+                if (indiceSessao === -1 || (contaSessao && contaSessao !== ws.conta.nome)) {
+                    enviarErro(ws, 'sessao_invalida', 'Sessao expirada ou invalida');
+                    break;
+                }
+                
+                // Uma conexão ocupa uma sala por vez; na própria sala, a vaga
+                // substitui o lugar de espectador
+                const outraSala = [ws.salaAtual, ws.salaAssistida]
+                    .some(codigo => codigo && codigo !== salaReconexao.codigo);
+                if (outraSala) {
+                    enviarErro(ws, 'ja_em_sala', 'Conexao ja esta em outra sala');
+                    break;
+                }
+                if (ws.salaAssistida) removerEspectador(ws);
+                
+                // Conexão antiga ainda aberta: substituir pela nova
+                const anterior = salaReconexao.jogadores[indiceSessao];
+                if (anterior && anterior !== ws) {
+                    anterior.substituido = true;
+                    anterior.close();
+                }
+                
+                clearTimeout(salaReconexao.reconexoes.get(mensagem.token));
+                salaReconexao.reconexoes.delete(mensagem.token);
+                
+                ws.salaAtual = salaReconexao.codigo;
+                ws.indiceJogador = indiceSessao;
+                ws.nome = salaReconexao.nomes[indiceSessao];
+                ws.tokenSessao = mensagem.token;
+                salaReconexao.jogadores[indiceSessao] = ws;
+                
+                enviarParaJogador(ws, Object.assign({
+                    tipo: 'reconectado',
+                    codigo: salaReconexao.codigo,
+                    indiceJogador: indiceSessao,
+                    nome: ws.nome
+                }, jogo.estadoParaJogador(salaReconexao, indiceSessao)));
+                enviarHistoricoChat(ws, salaReconexao);
+                
+                broadcastSala(salaReconexao, {
+                    tipo: 'jogador_reconectado',
+                    nome: ws.nome
+                }, ws, 'todos');
+                
+                if (salaReconexao.estado === 'jogando' && salaReconexao.turnoAtual === indiceSessao) {
+                    enviarParaJogador(ws, {
+                        tipo: 'seu_turno',
+                        prazo: salaReconexao.prazo,
+                        disparosRestantes: salaReconexao.disparosRestantes
+                    });
+                }
+                
+                logConexao(ws).info('Reconectou');
+                break;
+        }
+    } catch (error) {
+        logConexao(ws).erro('Erro ao processar mensagem', { tipo: mensagem.tipo, erro: error });
+        enviarErro(ws, 'erro_servidor', 'Erro no servidor');
+    } finally {
+        if (!ws.mensagemRecusada && !MENSAGENS_SEM_CHECKPOINT.includes(mensagem.tipo)) agendarCheckpoint();
+        ws.tipoEmProcesso = null;
+        ws.mensagemRecusada = false;
+        
+        // Só mensagens de jogadores mantêm a sala viva
+        const salaAtiva = encontrarSala(ws.salaAtual);
+        if (salaAtiva) salaAtiva.ultimaAtividade = Date.now();
+    }
+}
+
+// Conexão encerrada: liberar fila, lobby e replay, e reservar a vaga na sala
+function tratarDesconexao(ws) {
+    logConexao(ws).info('Conexao fechada');
+    
+    liberarConexao(ws);
+    
+    // Conexão substituída por uma reconexão: vaga continua ocupada
+    if (ws.substituido) return;
+    
+    // Remover espectador da sala assistida
+    if (ws.salaAssistida) removerEspectador(ws);
+    
+    if (ws.salaAtual) {
+        const sala = encontrarSala(ws.salaAtual);
+        if (sala) {
+            const index = sala.jogadores.indexOf(ws);
+            if (index > -1) {
+                sala.jogadores[index] = null;
+                reservarVaga(sala, index, PRAZO_RECONEXAO_MS);
+                
+                broadcastSala(sala, {
+                    tipo: 'jogador_desconectado',
+                    nome: ws.nome,
+                    motivo: ws.motivoQueda || 'conexao_encerrada',
+                    prazoReconexao: Date.now() + PRAZO_RECONEXAO_MS
+                }, null, 'todos');
+                agendarCheckpoint();
+            }
+        }
+    }
+}
+
+// Enviar a outro nó, sem derrubar o servidor se o broker falhar
+function enviarParaNo(idNo, mensagem) {
+    adaptador.enviarParaNo(idNo, mensagem).catch(err => {
+        log.erro('Erro ao enviar para outro no', { no: idNo, erro: err });
+    });
+}
+
+// Conexão de outro nó numa sala deste: o que a sala envia segue pelo adaptador
+// até o nó de origem, que repassa ao socket
+function criarConexaoRemota(origem, id) {
+    const conexao = {
+        remota: true,
+        idConexao: `${origem}:${id}`,
+        readyState: WebSocket.OPEN,
+        
+        send(dados) {
+            enviarParaNo(origem, { tipo: 'entrega', origem: adaptador.idNo, conexao: id, dados: dados });
+        },
+        
+        close() {
+            conexao.readyState = WebSocket.CLOSED;
+            enviarParaNo(origem, { tipo: 'fechar', origem: adaptador.idNo, conexao: id });
+        }
+    };
+    return conexao;
+}
+
+// Decidir onde a mensagem é processada: neste nó ou no nó dono da sala
+// da conexão. A fila mantém a ordem enquanto o dono é consultado.
+function rotearMensagem(ws, data) {
+    let mensagem = null;
+    try {
+        mensagem = JSON.parse(data);
+    } catch (error) {
+        // JSON inválido é respondido por tratarMensagem
+    }
+    
+    // Limite de taxa antes de enfileirar, para uma rajada não acumular na fila
+    if (!respeitaTaxa(ws, mensagem && typeof mensagem.tipo === 'string' ? mensagem.tipo : null)) return;
+    
+    ws.filaRoteamento = ws.filaRoteamento.then(async () => {
+        let destino = ws.noRemoto;
+        if (mensagem && MENSAGENS_COM_SALA.includes(mensagem.tipo) && typeof mensagem.codigo === 'string') {
+            const dono = encontrarSala(mensagem.codigo) ? null : await adaptador.donoSala(mensagem.codigo);
+            destino = dono && dono !== adaptador.idNo ? dono : null;
+        }
+        
+        // Trocou a sala de outro nó por outra: lá a conexão conta como encerrada
+        if (ws.noRemoto && destino !== ws.noRemoto) {
+            enviarParaNo(ws.noRemoto, { tipo: 'desconectar', origem: adaptador.idNo, conexao: ws.idConexao });
+        }
+        ws.noRemoto = destino;
+        
+        if (destino) {
+            return adaptador.enviarParaNo(destino, {
+                tipo: 'mensagem',
+                origem: adaptador.idNo,
+                conexao: ws.idConexao,
+                versaoProtocolo: ws.versaoProtocolo,
+                conta: ws.conta,
+                dados: data.toString()
+            }).catch(err => {
+                // Dono fora do ar: a próxima mensagem consulta o dono de novo
+                logConexao(ws).erro('No dono da sala nao recebeu a mensagem', { no: destino, erro: err });
+                ws.noRemoto = null;
+                enviarErro(ws, 'sala_indisponivel', 'Servidor da sala fora do ar, tente de novo');
+            });
+        } else {
+            return tratarMensagem(ws, data);
+        }
+    }).catch(err => {
+        logConexao(ws).erro('Erro ao rotear mensagem', { erro: err });
+        enviarErro(ws, 'erro_servidor', 'Erro no servidor');
+    });
+}
+
+// Gastar uma ficha do tipo; sem fichas, avisar e contar infração
+function respeitaTaxa(ws, tipo) {
+    const aguardeMs = limites.consumir(ws.baldes, tipo);
+    if (!aguardeMs) return true;
+    
+    enviarErro(ws, 'limite_taxa', `Limite de mensagens atingido, tente de novo em ${aguardeMs} ms`, {
+        tipoMensagem: tipo,
+        aguardeMs: aguardeMs
+    });
+    const ate = limites.registrarInfracao(ws.endereco);
+    if (ate) banirEndereco(ws.endereco, ate);
+    return false;
+}
+
+// Fechar as conexões deste nó vindas do endereço banido
+function banirEndereco(endereco, ate) {
+    log.aviso('Endereco banido', { endereco: endereco, ate: new Date(ate).toISOString() });
+    wss.clients.forEach(ws => {
+        if (ws.endereco !== endereco) return;
+        enviarErro(ws, 'banido', 'Endereco bloqueado temporariamente por abuso', { ate: ate });
+        ws.close(1008, 'banido');
+    });
+}
+
+// Socket deste nó fechado; se estava numa sala de outro nó, avisar o dono
+function encerrarConexaoLocal(ws) {
+    ws.filaRoteamento = ws.filaRoteamento.then(() => {
+        conexoesLocais.delete(ws.idConexao);
+        if (ws.noRemoto) {
+            enviarParaNo(ws.noRemoto, { tipo: 'desconectar', origem: adaptador.idNo, conexao: ws.idConexao });
+        }
+        tratarDesconexao(ws);
+    });
+}
+
+// Mensagens de outros nós: no dono da sala, as de conexões remotas;
+// no nó de origem, o que deve chegar ao socket
+function tratarMensagemNo(mensagem) {
+    const chave = `${mensagem.origem}:${mensagem.conexao}`;
+    const remota = conexoesRemotas.get(chave);
+    const local = conexoesLocais.get(mensagem.conexao);
+    
+    switch (mensagem.tipo) {
+        case 'mensagem': {
+            let conexao = remota;
+            if (!conexao) {
+                conexao = criarConexaoRemota(mensagem.origem, mensagem.conexao);
+                conexao.versaoProtocolo = mensagem.versaoProtocolo;
+                conexao.conta = mensagem.conta;
+                conexao.nome = mensagem.conta.nome;
+                conexoesRemotas.set(chave, conexao);
+            }
+            
+            tratarMensagem(conexao, mensagem.dados).then(() => {
+                // Sem sala aqui: as próximas mensagens voltam a ser tratadas na origem
+                if (!conexao.salaAtual && !conexao.salaAssistida && conexoesRemotas.get(chave) === conexao) {
+                    conexoesRemotas.delete(chave);
+                    liberarConexao(conexao);
+                    enviarParaNo(mensagem.origem, { tipo: 'liberar', origem: adaptador.idNo, conexao: mensagem.conexao });
+                }
+            });
+            break;
+        }
+        
+        case 'desconectar':
+            if (!remota) break;
+            conexoesRemotas.delete(chave);
+            remota.readyState = WebSocket.CLOSED;
+            tratarDesconexao(remota);
+            break;
+        
+        case 'entrega':
+            if (local) enviarDados(local, mensagem.dados);
+            break;
+        
+        case 'fechar':
+            if (local) local.close();
+            break;
+        
+        case 'liberar':
+            if (local && local.noRemoto === mensagem.origem) local.noRemoto = null;
+            break;
+    }
+}
+
+wss.on('connection', (ws, req) => {
+    // Nome vem da conta verificada no upgrade, não das mensagens
+    ws.conta = req.conta;
+    ws.nome = req.conta.nome;
+    
+    ws.idConexao = crypto.randomBytes(8).toString('hex');
+    ws.noRemoto = null; // nó dono da sala, quando ela não está neste
+    ws.filaRoteamento = Promise.resolve();
+    conexoesLocais.set(ws.idConexao, ws);
+    
+    ws.endereco = req.endereco;
+    ws.baldes = limites.criarBaldes();
+    limites.ocuparEndereco(ws.endereco);
+    logConexao(ws).info('Nova conexao', { endereco: ws.endereco });
+    
+    // Pong ou qualquer mensagem mostram que a conexão está viva
+    ws.pingsPerdidos = 0;
+    ws.on('pong', () => { ws.pingsPerdidos = 0; });
+    
+    // Clientes que não fazem o handshake usam a versão atual
+    ws.versaoProtocolo = VERSAO_PROTOCOLO;
+    enviarParaJogador(ws, {
+        tipo: 'boas_vindas',
+        versaoProtocolo: VERSAO_PROTOCOLO,
+        versoesSuportadas: VERSOES_SUPORTADAS,
+        nome: ws.nome,
+        convidado: ws.conta.convidado
+    });
+    
+    ws.on('message', (data) => {
+        ws.pingsPerdidos = 0;
+        rotearMensagem(ws, data);
+    });
+    ws.on('close', () => {
+        limites.liberarEndereco(ws.endereco);
+        encerrarConexaoLocal(ws);
+    });
+    
+    // Erros de protocolo (mensagem grande demais, frame inválido) fecham o socket
+    ws.on('error', (err) => {
+        logConexao(ws).aviso('Erro na conexao', { erro: err });
+        if (err.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+            const ate = limites.registrarInfracao(ws.endereco);
+            if (ate) banirEndereco(ws.endereco, ate);
+        }
+    });
+});
+
+const heartbeat = setInterval(verificarConexoes, INTERVALO_HEARTBEAT_MS);
+wss.on('close', () => clearInterval(heartbeat));
+
+// Desligamento gracioso: recusar conexões e partidas novas, avisar todos e
+// esperar as partidas em andamento até o prazo. O que sobrar fica salvo e
+// volta no reinício, com o prazo de reconexão.
+function desligar(sinal) {
+    if (encerrando) return;
+    encerrando = true;
+    
+    const prazo = Date.now() + PRAZO_DESLIGAMENTO_MS;
+    log.info('Desligamento iniciado', { sinal: sinal, prazoMs: PRAZO_DESLIGAMENTO_MS });
+    
+    avisarManutencao('Servidor entrando em manutencao; partidas em andamento podem terminar', prazo);
+    filaPartidas.splice(0).forEach(item => enviarParaJogador(item.conexao, { tipo: 'busca_cancelada' }));
+    
+    const espera = setInterval(() => {
+        const emAndamento = Array.from(salas.values())
+            .some(sala => sala.estado === 'configurando' || sala.estado === 'jogando');
+        if (emAndamento && Date.now() < prazo) return;
+        
+        clearInterval(espera);
+        finalizarDesligamento();
+    }, 500);
+}
+
+// Esperar os sockets fecharem, por no máximo prazoMs
+function aguardarFechamento(prazoMs) {
+    const limite = Date.now() + prazoMs;
+    return new Promise(resolve => {
+        const espera = setInterval(() => {
+            if (wss.clients.size > 0 && Date.now() < limite) return;
+            clearInterval(espera);
+            resolve();
+        }, 100);
+    });
+}
+
+async function finalizarDesligamento() {
+    // Gravação final com as salas como estão; os fechamentos a seguir não a alteram
+    encerrado = true;
+    try {
+        await persistencia.salvarSalas(Array.from(salas.values()));
+        await Promise.all(Array.from(salas.keys()).map(codigo => adaptador.liberarSala(codigo)));
+        
+        // Conexões de outros nós voltam a ser tratadas na origem
+        conexoesRemotas.forEach((conexao, chave) => {
+            const [origem, id] = chave.split(':');
+            enviarParaNo(origem, { tipo: 'liberar', origem: adaptador.idNo, conexao: id });
+        });
+        wss.clients.forEach(ws => ws.close(1001, 'desligamento'));
+        
+        await aguardarFechamento(2000);
+        await adaptador.encerrar();
+    } catch (err) {
+        log.erro('Erro ao desligar', { erro: err });
+    }
+    log.info('Servidor desligado');
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => desligar('SIGTERM'));
+process.on('SIGINT', () => desligar('SIGINT'));
+
+// Sem BROKER_URL o servidor roda sozinho, com tudo em memória
+criarAdaptador(process.env.BROKER_URL).then(criado => {
+    adaptador = criado;
+    adaptador.aoReceber(tratarMensagemNo);
+    adaptador.aoPerderSala(codigo => {
+        const sala = encontrarSala(codigo);
+        if (sala) encerrarSala(sala, 'outro_no');
+    });
+    log.info('No iniciado', { no: adaptador.idNo, broker: !!process.env.BROKER_URL });
+    
+    return Promise.all([
+        ranking.carregar(),
+        restaurarSalas()
+    ]).catch(err => {
+        log.erro('Erro ao restaurar salas', { erro: err });
+    });
+}).then(() => server.listen(PORT, () => {
+    log.info('Servidor rodando', { porta: PORT, url: `http://localhost:${PORT}` });
+})).catch(err => {
+    log.erro('Erro ao conectar ao broker', { erro: err });
+    process.exit(1);
 });
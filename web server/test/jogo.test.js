@@ -0,0 +1,304 @@
+// Partidas completas jogadas direto pelo jogo.js, sem sockets
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const jogo = require('../jogo');
+const { REGRAS_PADRAO, normalizarRegras, tamanhosDaFrota } = require('../frota');
+
+// Navios da frota deitados nas linhas pares, a partir da coluna 0
+function tabuleiroEmLinhas(regras = REGRAS_PADRAO) {
+    const tamanho = regras.tamanhoTabuleiro;
+    const tabuleiro = Array.from({ length: tamanho }, () => Array(tamanho).fill(''));
+    tamanhosDaFrota(regras.frota).forEach((comprimento, i) => {
+        for (let c = 0; c < comprimento; c++) tabuleiro[i * 2][c] = 'N';
+    });
+    return tabuleiro;
+}
+
+// Células de navio do tabuleiro montado por tabuleiroEmLinhas
+function celulasDeNavio(regras = REGRAS_PADRAO) {
+    const celulas = [];
+    tabuleiroEmLinhas(regras).forEach((linha, l) => {
+        linha.forEach((celula, c) => {
+            if (celula === 'N') celulas.push([l, c]);
+        });
+    });
+    return celulas;
+}
+
+// Células de água, nas linhas ímpares
+function celulasDeAgua(quantidade) {
+    const celulas = [];
+    for (let i = 0; i < quantidade; i++) celulas.push([1 + 2 * Math.floor(i / 10), i % 10]);
+    return celulas;
+}
+
+function regras(pedido) {
+    const normalizadas = normalizarRegras(pedido);
+    assert.ok(normalizadas.valido, normalizadas.mensagem);
+    return normalizadas.regras;
+}
+
+// Partida com todos os tabuleiros configurados, já em jogo
+function partidaEmJogo(nomes, opcoes = {}) {
+    const partida = jogo.criarPartida(opcoes.regras, nomes.length, opcoes.melhorDe);
+    nomes.forEach(nome => assert.ok(jogo.adicionarJogador(partida, nome).valido));
+    configurarTodos(partida);
+    return partida;
+}
+
+function configurarTodos(partida) {
+    partida.nomes.forEach((nome, i) => {
+        assert.ok(jogo.configurarTabuleiro(partida, i, tabuleiroEmLinhas(partida.regras)).valido);
+    });
+    assert.equal(jogo.iniciarSePronto(partida), true);
+}
+
+// Afundar a frota inteira do alvo; com acerto dando novo turno, sem passar a vez
+function afundarFrota(partida, atacante, alvo) {
+    let ultimo;
+    celulasDeNavio(partida.regras).forEach(([linha, coluna]) => {
+        ultimo = jogo.atacar(partida, atacante, linha, coluna, { alvo: alvo });
+        assert.ok(ultimo.valido, ultimo.mensagem);
+    });
+    return ultimo;
+}
+
+test('duelo passa por aguardando, configurando, jogando e finalizado', () => {
+    const partida = jogo.criarPartida();
+    assert.equal(partida.estado, 'aguardando');
+
+    assert.deepEqual(jogo.adicionarJogador(partida, 'Ana'), { valido: true, indice: 0, nome: 'Ana' });
+    assert.equal(partida.estado, 'aguardando');
+    assert.equal(jogo.adicionarJogador(partida, 'Ana').nome, 'Ana (2)');
+    assert.equal(partida.estado, 'configurando');
+    assert.equal(jogo.adicionarJogador(partida, 'Caio').codigo, 'sala_cheia');
+
+    assert.ok(jogo.configurarTabuleiro(partida, 0, tabuleiroEmLinhas()).valido);
+    assert.equal(jogo.iniciarSePronto(partida), false);
+    assert.deepEqual(jogo.jogadoresPendentes(partida), [1]);
+    assert.ok(jogo.configurarTabuleiro(partida, 1, tabuleiroEmLinhas()).valido);
+    assert.equal(jogo.iniciarSePronto(partida), true);
+    assert.equal(partida.estado, 'jogando');
+    assert.equal(partida.turnoAtual, 0);
+
+    const ultimo = afundarFrota(partida, 0, 1);
+    assert.equal(ultimo.eliminado, true);
+    assert.equal(ultimo.novoTurno, false);
+    assert.equal(partida.estado, 'finalizado');
+    assert.equal(partida.vencedor, 'Ana');
+    assert.equal(partida.motivo, 'frota_destruida');
+    assert.deepEqual(partida.classificacao, ['Ana', 'Ana (2)']);
+    assert.equal(partida.eventos[partida.eventos.length - 1].tipo, 'fim_jogo');
+    assert.equal(jogo.atacar(partida, 1, 0, 0).codigo, 'estado_invalido');
+});
+
+test('duelo recusa tabuleiro fora da frota e jogadas fora de hora', () => {
+    const partida = jogo.criarPartida();
+    jogo.adicionarJogador(partida, 'Ana');
+    jogo.adicionarJogador(partida, 'Bia');
+
+    const incompleto = tabuleiroEmLinhas();
+    incompleto[8][0] = '';
+    const recusa = jogo.configurarTabuleiro(partida, 0, incompleto);
+    assert.equal(recusa.codigo, 'tabuleiro_invalido');
+    assert.equal(recusa.detalhes.regra, 'total_celulas');
+    assert.equal(jogo.atacar(partida, 0, 0, 0).codigo, 'estado_invalido');
+
+    configurarTodos(partida);
+    assert.equal(jogo.atacar(partida, 1, 0, 0).codigo, 'fora_do_turno');
+    assert.equal(jogo.atacar(partida, 0, 10, 0).codigo, 'coordenada_invalida');
+
+    // Acerto mantém a vez; água passa para o oponente
+    const acerto = jogo.atacar(partida, 0, 0, 0);
+    assert.equal(acerto.resultado, 'acerto');
+    assert.equal(partida.turnoAtual, 0);
+    assert.equal(jogo.atacar(partida, 0, 0, 0).codigo, 'disparo_repetido');
+    assert.equal(partida.turnoAtual, 0);
+
+    const agua = jogo.atacar(partida, 0, 1, 0);
+    assert.equal(agua.resultado, 'agua');
+    assert.equal(agua.novoTurno, true);
+    assert.equal(partida.turnoAtual, 1);
+});
+
+test('sair durante a configuracao volta a aguardar jogadores', () => {
+    const partida = jogo.criarPartida();
+    jogo.adicionarJogador(partida, 'Ana');
+    jogo.adicionarJogador(partida, 'Bia');
+    jogo.configurarTabuleiro(partida, 0, tabuleiroEmLinhas());
+
+    assert.equal(jogo.removerJogador(partida, 0), true);
+    assert.equal(partida.estado, 'aguardando');
+    assert.deepEqual(partida.nomes, ['Bia']);
+    assert.deepEqual(partida.tabuleiros, []);
+});
+
+test('todos contra todos exige alvo e pula quem foi eliminado', () => {
+    const partida = partidaEmJogo(['Ana', 'Bia', 'Caio']);
+
+    assert.equal(jogo.atacar(partida, 0, 0, 0).codigo, 'alvo_invalido');
+    assert.equal(jogo.atacar(partida, 0, 0, 0, { alvo: 0 }).codigo, 'alvo_invalido');
+
+    const eliminacao = afundarFrota(partida, 0, 1);
+    assert.equal(eliminacao.eliminado, true);
+    assert.equal(partida.estado, 'jogando');
+    assert.deepEqual(jogo.sobreviventes(partida), [0, 2]);
+    assert.equal(jogo.atacar(partida, 0, 1, 0, { alvo: 1 }).codigo, 'alvo_invalido');
+
+    // Com um só oponente, o alvo pode ser omitido; a vez pula a vaga eliminada
+    assert.equal(jogo.atacar(partida, 0, 1, 0).resultado, 'agua');
+    assert.equal(partida.turnoAtual, 2);
+
+    afundarFrota(partida, 2, 0);
+    assert.equal(partida.estado, 'finalizado');
+    assert.equal(partida.vencedor, 'Caio');
+    assert.deepEqual(partida.classificacao, ['Caio', 'Ana', 'Bia']);
+    assert.equal(jogo.posicaoEliminado(partida, 1), 3);
+});
+
+test('abandono durante o jogo elimina e mantem a vaga', () => {
+    const partida = partidaEmJogo(['Ana', 'Bia', 'Caio']);
+
+    assert.equal(jogo.removerJogador(partida, 0), false);
+    assert.equal(partida.estado, 'jogando');
+    assert.deepEqual(partida.eliminados, [0]);
+    assert.equal(partida.turnoAtual, 1);
+
+    assert.equal(jogo.removerJogador(partida, 1), true);
+    assert.equal(partida.estado, 'finalizado');
+    assert.equal(partida.vencedor, 'Caio');
+    assert.equal(partida.motivo, 'abandono');
+});
+
+test('salvo da um disparo por navio sobrevivente', () => {
+    const partida = partidaEmJogo(['Ana', 'Bia'], { regras: regras({ modoSalvo: true }) });
+    const frota = tamanhosDaFrota(partida.regras.frota);
+    assert.equal(partida.disparosRestantes, frota.length);
+
+    // Acerto não dá novo turno no salvo; o turno segue até acabarem os disparos
+    const primeiro = jogo.atacar(partida, 0, 0, 0);
+    assert.equal(primeiro.resultado, 'acerto');
+    assert.equal(primeiro.novoTurno, false);
+    assert.equal(partida.disparosRestantes, frota.length - 1);
+    celulasDeAgua(frota.length - 1).forEach(([linha, coluna]) => jogo.atacar(partida, 0, linha, coluna));
+    assert.equal(partida.turnoAtual, 1);
+    assert.equal(partida.disparosRestantes, frota.length);
+
+    // Afundar o destróier de Ana (linha 8) tira um disparo dela
+    jogo.atacar(partida, 1, 8, 0);
+    const afundou = jogo.atacar(partida, 1, 8, 1);
+    assert.equal(afundou.afundado.tamanho, 2);
+    celulasDeAgua(frota.length - 2).forEach(([linha, coluna]) => jogo.atacar(partida, 1, linha, coluna));
+
+    assert.equal(partida.turnoAtual, 0);
+    assert.equal(partida.disparosRestantes, frota.length - 1);
+});
+
+test('tempos esgotados seguidos eliminam por W.O.', () => {
+    const partida = partidaEmJogo(['Ana', 'Bia']);
+    const agua = celulasDeAgua(2);
+
+    // Um disparo manual zera a contagem; o automático não
+    assert.deepEqual(jogo.registrarTempoEsgotado(partida, 2), { consecutivos: 1, eliminado: false });
+    jogo.atacar(partida, 0, agua[0][0], agua[0][1], { automatico: true });
+    jogo.atacar(partida, 1, agua[0][0], agua[0][1]);
+    assert.equal(partida.temposEsgotados[0], 1);
+
+    const esgotado = jogo.registrarTempoEsgotado(partida, 2);
+    assert.deepEqual(esgotado, { consecutivos: 2, eliminado: true });
+    assert.equal(partida.estado, 'finalizado');
+    assert.equal(partida.vencedor, 'Bia');
+    assert.equal(partida.motivo, 'tempo_esgotado');
+});
+
+test('tempo esgotado sem eliminar passa a vez', () => {
+    const partida = partidaEmJogo(['Ana', 'Bia']);
+
+    jogo.registrarTempoEsgotado(partida, 3);
+    jogo.pularTurno(partida);
+    assert.equal(partida.turnoAtual, 1);
+
+    jogo.atacar(partida, 1, 1, 0);
+    jogo.atacar(partida, 0, 1, 0);
+    assert.equal(partida.temposEsgotados[0], 0);
+});
+
+test('revanche reinicia a partida e a serie decide o vencedor', () => {
+    const partida = partidaEmJogo(['Ana', 'Bia'], { melhorDe: 3 });
+    assert.equal(jogo.pedirRevanche(partida, 0).codigo, 'estado_invalido');
+
+    afundarFrota(partida, 0, 1);
+    assert.equal(partida.serie.encerrada, false);
+    assert.equal(jogo.aceitarRevanche(partida, 1).codigo, 'estado_invalido');
+
+    assert.deepEqual(jogo.pedirRevanche(partida, 0), { valido: true, pendentes: [1], reiniciou: false });
+    assert.deepEqual(jogo.aceitarRevanche(partida, 1), { valido: true, pendentes: [], reiniciou: true });
+    assert.equal(partida.estado, 'configurando');
+    assert.equal(partida.vencedor, null);
+    assert.deepEqual(partida.eventos, []);
+
+    // Quem dispara primeiro alterna a cada revanche
+    configurarTodos(partida);
+    assert.equal(partida.turnoAtual, 1);
+    jogo.atacar(partida, 1, 1, 0);
+    afundarFrota(partida, 0, 1);
+
+    const serie = jogo.resumoSerie(partida);
+    assert.equal(serie.encerrada, true);
+    assert.equal(serie.vencedor, 'Ana');
+    assert.deepEqual(serie.placar, [{ jogador: 'Ana', vitorias: 2 }, { jogador: 'Bia', vitorias: 0 }]);
+
+    // Série encerrada recomeça do zero na próxima revanche
+    jogo.pedirRevanche(partida, 1);
+    jogo.pedirRevanche(partida, 0);
+    assert.equal(partida.serie.partidasJogadas, 0);
+    assert.equal(partida.primeiroJogador, 0);
+});
+
+test('revanche indisponivel quando alguem saiu da sala', () => {
+    const partida = partidaEmJogo(['Ana', 'Bia']);
+    afundarFrota(partida, 0, 1);
+
+    jogo.removerJogador(partida, 1);
+    assert.equal(jogo.pedirRevanche(partida, 0).codigo, 'revanche_indisponivel');
+});
+
+test('vaga liberada depois do fim leva junto o tabuleiro do jogador', () => {
+    const partida = partidaEmJogo(['Ana', 'Bia', 'Caio']);
+    afundarFrota(partida, 0, 1);
+    afundarFrota(partida, 0, 2);
+    assert.equal(partida.estado, 'finalizado');
+    const tabuleiroBia = partida.tabuleiros[1];
+    const tabuleiroCaio = partida.tabuleiros[2];
+
+    // Vencedora sai: as vagas restantes continuam com os próprios tabuleiros
+    assert.equal(jogo.removerJogador(partida, 0), true);
+    assert.deepEqual(partida.nomes, ['Bia', 'Caio']);
+    assert.equal(partida.tabuleiros[0], tabuleiroBia);
+    assert.equal(partida.tabuleiros[1], tabuleiroCaio);
+    assert.equal(partida.navios.length, 2);
+    assert.equal(partida.tabuleirosIniciais.length, 2);
+    assert.deepEqual(partida.eliminados, [0, 1]);
+    // Todos os disparos foram dela
+    assert.deepEqual(partida.disparos, []);
+
+    const espectador = jogo.estadoParaEspectador(partida);
+    assert.deepEqual(espectador.tabuleiros.map(t => t.jogador), ['Bia', 'Caio']);
+    assert.equal(espectador.tabuleiros[0].tabuleiro, tabuleiroBia);
+    assert.equal(jogo.estadoParaJogador(partida, 1).tabuleiro, tabuleiroCaio);
+});
+
+test('partida interrompida termina sem vencedor e fora da serie', () => {
+    const partida = partidaEmJogo(['Ana', 'Bia', 'Caio'], { melhorDe: 3 });
+    afundarFrota(partida, 0, 1);
+
+    jogo.interromper(partida, 'administrador');
+    assert.equal(partida.estado, 'finalizado');
+    assert.equal(partida.vencedor, null);
+    assert.equal(partida.motivo, 'administrador');
+    assert.deepEqual(partida.classificacao, ['Ana', 'Caio', 'Bia']);
+    assert.equal(partida.serie.partidasJogadas, 0);
+    assert.equal(partida.eventos[partida.eventos.length - 1].tipo, 'fim_jogo');
+});